@@ -0,0 +1,62 @@
+// lib/calls.js
+// The call engine: the only way a song becomes "called" in a room. Calls must
+// come from the current game's song pool (room.callList, in the call order
+// drawn from the game's seed) and are never repeated. The last call can be
+// undone (the song goes back into the pool) or voided (the song is dropped
+// from the pool for the rest of the game, e.g. a track that would not play).
+//
+// room.callLog keeps every call with its time for the game's history
+// ({ song, at, retracted: null | 'undo' | 'void', retractedAt }).
+
+// songs that can still be called in this game
+function uncalledSongs(room) {
+  const called = new Set(room.calledHistory);
+  const voided = new Set(room.voidedCalls);
+  return room.callList.filter((song) => !called.has(song) && !voided.has(song));
+}
+
+// Validate and record a call. Returns { song } or { error }.
+function addCall(room, song) {
+  if (!room.gameId) return { error: 'Start a game first' };
+  if (typeof song !== 'string' || !song) return { error: 'No song given' };
+  if (!room.callList.includes(song)) return { error: `"${song}" is not in this game's theme` };
+  if (room.calledHistory.includes(song)) return { error: `"${song}" has already been called` };
+  if (room.voidedCalls.includes(song)) return { error: `"${song}" was voided for this game` };
+  room.calledHistory.push(song);
+  room.callLog.push({ song, at: new Date().toISOString(), retracted: null, retractedAt: null });
+  return { song };
+}
+
+// The next song of the call order that has not been called yet (without
+// calling it). Passing the song that was just skipped or called moves on to
+// the one after it. Returns { song } or { error }.
+function nextUncalled(room, after = null) {
+  if (!room.gameId) return { error: 'Start a game first' };
+  const pool = new Set(uncalledSongs(room));
+  if (!pool.size) return { error: 'Every song has been called' };
+  const start = room.callList.indexOf(after) + 1;
+  for (let i = 0; i < room.callList.length; i++) {
+    const song = room.callList[(start + i) % room.callList.length];
+    if (pool.has(song) && song !== after) return { song };
+  }
+  // the skipped song is the only one left
+  return { song: after };
+}
+
+// Take back the last call. action 'undo' returns the song to the pool,
+// 'void' keeps it out for the rest of the game. Returns { song } or { error }.
+function retractLastCall(room, action) {
+  if (!room.calledHistory.length) return { error: 'Nothing has been called yet' };
+  const song = room.calledHistory.pop();
+  if (action === 'void') room.voidedCalls.push(song);
+  const entry = [...room.callLog].reverse().find((c) => c.song === song && !c.retracted);
+  if (entry) Object.assign(entry, { retracted: action === 'void' ? 'void' : 'undo', retractedAt: new Date().toISOString() });
+  return { song };
+}
+
+module.exports = {
+  uncalledSongs,
+  addCall,
+  nextUncalled,
+  retractLastCall,
+};
@@ -0,0 +1,235 @@
+// lib/cards.js
+// Bingo cards of a game. Every card gets a serial number ("3FA9-0042": a tag
+// for the game plus a running number) and its songs are drawn from the game's
+// seed (lib/seed.js) with the serial. Any card, including a printed paper
+// card nobody has claimed yet, can be rebuilt from its serial alone.
+//
+// Fairness: a game's song pool must fill a card, no two cards of a game share
+// a layout, and any two cards share at most room.maxOverlap songs. Dealing
+// draws candidate serials until one fits (or keeps the closest after
+// MAX_TRIES), so serials that were passed over are never dealt;
+// room.dealtSerials lists the ones that were.
+//
+// A game deals room.cardCount cards to each player, each gridSize x gridSize
+// (3, 4 or 5). Only odd grids have a centre tile for the free square.
+//
+// The functions take the room, or a game record from lib/games.js, which has
+// the same gameId, seed, cardPool, gridSize, freeSpace, freeLabel, nextSerial
+// and dealtSerials fields.
+const crypto = require('crypto');
+const { GRID_SIZES, FREE_SPACE } = require('./patterns');
+const { streamFor, seededShuffle } = require('./seed');
+
+const SERIAL_RE = /^([0-9A-F]{4})-(\d{1,6})$/;
+const MAX_TRIES = 40;
+const DEFAULT_GRID = 5;
+const DEFAULT_CARD_COUNT = 2;
+const MAX_CARD_COUNT = 6;
+
+// room => { gameId, cards: [{ cells, songs: Set }] }: the dealt cards of the
+// room's game, rebuilt from dealtSerials after a restart
+const dealtCache = new WeakMap();
+
+// records from before grid sizes were all 5x5
+function gridSizeOf(room) {
+  return room.gridSize || DEFAULT_GRID;
+}
+
+// label on the centre tile of this room's cards, or null for no free square
+function freeLabelFor(room) {
+  if (room.freeSpace === 'none' || gridSizeOf(room) % 2 === 0) return null;
+  return room.freeSpace === 'custom' && room.freeLabel ? room.freeLabel : FREE_SPACE;
+}
+
+// songs on one card of a game with this grid and free space setting; the
+// smallest theme that can fill a card
+function songsPerCard(freeSpace, gridSize = DEFAULT_GRID) {
+  const cells = gridSize * gridSize;
+  return freeSpace === 'none' || gridSize % 2 === 0 ? cells : cells - 1;
+}
+
+// Validate the host's { cardCount, gridSize } for a new game (blank means the
+// default). An even grid has no centre tile, so it cannot have a free square.
+// Returns { value: { cardCount, gridSize } } or { error }.
+function validateCardLayout(input, freeSpace) {
+  const { cardCount: rawCount, gridSize: rawSize } = input || {};
+  const cardCount = rawCount === undefined || rawCount === null || rawCount === '' ? DEFAULT_CARD_COUNT : Number(rawCount);
+  if (!Number.isInteger(cardCount) || cardCount < 1 || cardCount > MAX_CARD_COUNT) {
+    return { error: `Cards per player must be 1-${MAX_CARD_COUNT}` };
+  }
+  const gridSize = rawSize === undefined || rawSize === null || rawSize === '' ? DEFAULT_GRID : Number(rawSize);
+  if (!GRID_SIZES.includes(gridSize)) {
+    return { error: `Card size must be ${GRID_SIZES.map((n) => `${n}x${n}`).join(', ')}` };
+  }
+  if (gridSize % 2 === 0 && freeSpace !== 'none') {
+    return { error: `${gridSize}x${gridSize} cards have no centre tile for a free square` };
+  }
+  return { value: { cardCount, gridSize } };
+}
+
+// Resolve the overlap cap for a game with perCard songs on a card: the host's
+// choice, or by default half as much again as two random cards from the pool
+// would share on average. Any two cards share at least 2 * perCard - poolSize
+// songs, so a cap below that is refused; a pool that only just fills a card
+// gives every card the same songs, and the default cap comes with a warning.
+// Returns { value, warning } or { error }.
+function overlapCap(poolSize, perCard, requested) {
+  const minShared = Math.max(0, 2 * perCard - poolSize);
+  if (requested === undefined || requested === null || requested === '') {
+    const value = Math.max(minShared, Math.min(perCard - 1, Math.ceil(((perCard * perCard) / poolSize) * 1.5)));
+    const warning = minShared >= perCard
+      ? `Every card has the same ${perCard} songs: the pool only just fills a card, so only the layouts differ`
+      : null;
+    return { value, warning };
+  }
+  const value = Number(requested);
+  if (!Number.isInteger(value) || value < 0 || value >= perCard) {
+    return { error: `Max shared songs must be 0-${perCard - 1}` };
+  }
+  if (minShared >= perCard) {
+    return { error: `With ${poolSize} songs every card has the same songs; leave max shared songs on auto or add songs` };
+  }
+  if (value < minShared) {
+    return { error: `With ${poolSize} songs any two cards share at least ${minShared}; raise the max shared songs or add songs` };
+  }
+  return { value, warning: null };
+}
+
+// the tag every serial of the room's current game starts with
+function gameTag(room) {
+  return crypto.createHash('sha256').update(room.gameId || '').digest('hex').slice(0, 4).toUpperCase();
+}
+
+function formatSerial(room, n) {
+  return `${gameTag(room)}-${String(n).padStart(4, '0')}`;
+}
+
+// the cells of the card with this serial, with the free square (if the game
+// has one) in the centre
+function cardForSerial(room, serial) {
+  const label = freeLabelFor(room);
+  const size = gridSizeOf(room);
+  const songs = seededShuffle(room.cardPool, streamFor(room.seed, `card:${serial}`)).slice(0, songsPerCard(room.freeSpace, size));
+  if (label) songs.splice(Math.floor((size * size) / 2), 0, label);
+  return songs;
+}
+
+// A player's stored cards as { cards: [cells], serials: [serial] }. Entries
+// from before card counts were { card1, card2, serials: { card1, card2 } }.
+function playerCards(entry) {
+  if (!entry) return { cards: [], serials: [] };
+  if (Array.isArray(entry.cards)) return { cards: entry.cards, serials: entry.serials || [] };
+  const serials = entry.serials || {};
+  const keys = ['card1', 'card2'].filter((key) => Array.isArray(entry[key]));
+  return { cards: keys.map((key) => entry[key]), serials: keys.map((key) => serials[key] || null) };
+}
+
+function songSet(room, cells) {
+  const label = freeLabelFor(room);
+  return new Set(cells.filter((cell) => cell !== label));
+}
+
+function sharedSongs(a, b) {
+  let shared = 0;
+  for (const song of a) if (b.has(song)) shared++;
+  return shared;
+}
+
+function dealtCards(room) {
+  let cache = dealtCache.get(room);
+  if (!cache || cache.gameId !== room.gameId) {
+    const cards = room.dealtSerials.map((n) => {
+      const cells = cardForSerial(room, formatSerial(room, n));
+      return { cells, songs: songSet(room, cells) };
+    });
+    cache = { gameId: room.gameId, cards };
+    dealtCache.set(room, cache);
+  }
+  return cache.cards;
+}
+
+// Deal the game's next card. Returns { serial, cells }.
+function dealCard(room) {
+  const dealt = dealtCards(room);
+  let best = null;
+  for (let tries = 0; tries < MAX_TRIES; tries++) {
+    const n = room.nextSerial++;
+    const cells = cardForSerial(room, formatSerial(room, n));
+    const layout = cells.join('\n');
+    if (dealt.some((card) => card.cells.join('\n') === layout)) continue;
+    const songs = songSet(room, cells);
+    const overlap = dealt.reduce((max, card) => Math.max(max, sharedSongs(songs, card.songs)), 0);
+    if (!best || overlap < best.overlap) best = { n, cells, songs, overlap };
+    if (overlap <= room.maxOverlap) break;
+  }
+  // every try repeated a layout: only possible with a pool that barely fills a card
+  if (!best) {
+    const n = room.nextSerial - 1;
+    const cells = cardForSerial(room, formatSerial(room, n));
+    best = { n, cells, songs: songSet(room, cells) };
+  }
+  room.dealtSerials.push(best.n);
+  dealt.push({ cells: best.cells, songs: best.songs });
+  return { serial: formatSerial(room, best.n), cells: best.cells };
+}
+
+// What the host sees about the cards dealt so far: how many songs any two
+// cards share (the cap, the worst pair, the average and pairs over the cap)
+// and how evenly the pool's songs are spread over the cards.
+function cardStats(room) {
+  const cards = dealtCards(room);
+  let pairs = 0;
+  let total = 0;
+  let max = 0;
+  let overCap = 0;
+  for (let i = 0; i < cards.length; i++) {
+    for (let j = i + 1; j < cards.length; j++) {
+      const shared = sharedSongs(cards[i].songs, cards[j].songs);
+      pairs++;
+      total += shared;
+      max = Math.max(max, shared);
+      if (shared > room.maxOverlap) overCap++;
+    }
+  }
+  const uses = new Map(room.cardPool.map((song) => [song, 0]));
+  cards.forEach((card) => card.songs.forEach((song) => uses.set(song, (uses.get(song) || 0) + 1)));
+  const counts = [...uses.values()];
+  return {
+    gameId: room.gameId,
+    cards: cards.length,
+    poolSize: room.cardPool.length,
+    maxOverlap: room.maxOverlap,
+    overlap: { max, mean: pairs ? Math.round((total / pairs) * 100) / 100 : 0, overCap },
+    songUse: { min: counts.length ? Math.min(...counts) : 0, max: counts.length ? Math.max(...counts) : 0 },
+  };
+}
+
+// Rebuild a card from a serial typed in by the host. Only serials of this
+// game that were dealt or printed are accepted. Returns { serial, cells } or
+// { error }.
+function cardFromSerial(room, input) {
+  if (!room.gameId) return { error: 'Start a game first' };
+  const serial = typeof input === 'string' ? input.trim().toUpperCase() : '';
+  const match = SERIAL_RE.exec(serial);
+  if (!match) return { error: 'Serials look like 3FA9-0042' };
+  if (match[1] !== gameTag(room)) return { error: `${serial} is not a card of this game` };
+  const n = Number(match[2]);
+  // records of games from before dealtSerials only know how far serials got
+  const dealt = Array.isArray(room.dealtSerials) ? room.dealtSerials.includes(n) : n >= 1 && n < room.nextSerial;
+  if (!dealt) return { error: `${serial} has not been dealt or printed in this game` };
+  const canonical = formatSerial(room, n);
+  return { serial: canonical, cells: cardForSerial(room, canonical) };
+}
+
+module.exports = {
+  MAX_CARD_COUNT,
+  freeLabelFor,
+  songsPerCard,
+  validateCardLayout,
+  overlapCap,
+  cardForSerial,
+  playerCards,
+  dealCard,
+  cardStats,
+  cardFromSerial,
+};
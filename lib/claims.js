@@ -0,0 +1,123 @@
+// lib/claims.js
+// The claim queue of a game. Every "BINGO!" becomes an entry in room.claims,
+// in the order the claims arrived, which the host accepts or rejects. A player
+// can only have one claim waiting at a time, and a player whose claims keep
+// failing the pattern check has to wait before claiming again.
+//
+// When several claims for the same stage are accepted on the same call,
+// room.claimRules.splitPot decides the outcome: 'split' shares the stage (and
+// its prize) between every such claim, 'first' gives it to the first one
+// accepted only.
+const crypto = require('crypto');
+const { currentStage, recordStageWin } = require('./stages');
+
+const SPLIT_POT_MODES = ['split', 'first'];
+
+function createClaimRules() {
+  return {
+    splitPot: 'split',
+    maxFalseClaims: 2, // false claims before a cooldown (0 = never)
+    cooldownSec: 60,
+  };
+}
+
+// Validate { splitPot, maxFalseClaims, cooldownSec }. Returns { value } or
+// { error }.
+function validateClaimRules(input) {
+  if (!input || typeof input !== 'object') return { error: 'No claim settings given' };
+  const splitPot = input.splitPot;
+  if (!SPLIT_POT_MODES.includes(splitPot)) return { error: `Split pot must be one of: ${SPLIT_POT_MODES.join(', ')}` };
+  const maxFalseClaims = Number(input.maxFalseClaims);
+  if (!Number.isInteger(maxFalseClaims) || maxFalseClaims < 0 || maxFalseClaims > 10) {
+    return { error: 'False claims before a cooldown must be 0-10 (0 turns the cooldown off)' };
+  }
+  const cooldownSec = Number(input.cooldownSec);
+  if (!Number.isInteger(cooldownSec) || cooldownSec < 10 || cooldownSec > 600) {
+    return { error: 'Cooldown must be 10-600 seconds' };
+  }
+  return { value: { splitPot, maxFalseClaims, cooldownSec } };
+}
+
+// Why this player may not claim right now, or null if they may:
+// { reason, retryInSec } (retryInSec is null when the host blocked them)
+function claimBlock(room, name, now = Date.now()) {
+  if (room.claimBlocks.includes(name)) return { reason: 'The host has blocked your claims', retryInSec: null };
+  if (room.claims.some((c) => c.name === name && c.status === 'pending')) {
+    return { reason: 'Your BINGO is already being checked', retryInSec: 0 };
+  }
+  const penalty = room.claimPenalties[name];
+  if (penalty && penalty.blockedUntil > now) {
+    const retryInSec = Math.ceil((penalty.blockedUntil - now) / 1000);
+    return { reason: `Too many false claims. You can claim again in ${retryInSec}s`, retryInSec };
+  }
+  return null;
+}
+
+// Add a claim to the end of the queue. fields is everything the pattern check
+// produced (name, valid, pattern, stage, calls, ...). Returns the claim.
+function queueClaim(room, fields) {
+  const claim = {
+    id: crypto.randomUUID(),
+    seq: room.claims.length + 1,
+    ...fields,
+    status: 'pending',
+    at: new Date().toISOString(),
+  };
+  room.claims.push(claim);
+  return claim;
+}
+
+// Accept a claim. It wins the current stage, or shares a stage that was just
+// won on the same call when the split pot is on. Returns { winner, shared }
+// or { error }.
+function acceptClaim(room, claim) {
+  if (!claim.valid) return { error: `Claim by ${claim.name} does not match the pattern` };
+  if (claim.stage === room.stageIndex && currentStage(room)) {
+    claim.status = 'accepted';
+    return { winner: recordStageWin(room, { name: claim.name, card: claim.card, calls: claim.calls }), shared: false };
+  }
+
+  const stageWinners = room.winners.filter((w) => w.stage === claim.stage);
+  const first = stageWinners[0];
+  if (!first) return { error: `Claim by ${claim.name} is not for a stage of this game` };
+  if (first.calls !== claim.calls) {
+    return { error: `Stage ${claim.stage + 1} was already won by ${first.name} after ${first.calls} calls` };
+  }
+  if (room.claimRules.splitPot !== 'split') {
+    return { error: `Stage ${claim.stage + 1} was already won by ${first.name} on the same call (split pot is off)` };
+  }
+
+  claim.status = 'accepted';
+  const winner = { ...first, name: claim.name, card: claim.card, at: new Date().toISOString() };
+  // keep the stage's winners together in the list
+  const last = room.winners.lastIndexOf(stageWinners[stageWinners.length - 1]);
+  room.winners.splice(last + 1, 0, winner);
+  return { winner, shared: true };
+}
+
+// Reject a claim. Claims that did not match the pattern count towards the
+// player's cooldown. Returns the player's penalty { falseClaims, blockedUntil }.
+function rejectClaim(room, claim, now = Date.now()) {
+  claim.status = 'rejected';
+  const penalty = room.claimPenalties[claim.name] || { falseClaims: 0, blockedUntil: 0 };
+  if (!claim.valid) {
+    penalty.falseClaims++;
+    const { maxFalseClaims, cooldownSec } = room.claimRules;
+    if (maxFalseClaims && penalty.falseClaims >= maxFalseClaims) {
+      penalty.blockedUntil = now + cooldownSec * 1000;
+      penalty.falseClaims = 0;
+    }
+  }
+  room.claimPenalties[claim.name] = penalty;
+  return penalty;
+}
+
+module.exports = {
+  SPLIT_POT_MODES,
+  createClaimRules,
+  validateClaimRules,
+  claimBlock,
+  queueClaim,
+  acceptClaim,
+  rejectClaim,
+};
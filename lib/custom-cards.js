@@ -0,0 +1,113 @@
+// lib/custom-cards.js
+// Fixed-layout cards designed in cardbuild.html, stored in lowdb
+// (db.data.customCards). Each card is
+// { id, name, themeId, cells: [25 strings, centre = FREE SPACE], createdAt, updatedAt }
+// and the array order is the display order in the builder.
+const crypto = require('crypto');
+const { CARD_SIZE, FREE_SPACE, FREE_INDEX: CENTRE } = require('./patterns');
+
+const MAX_NAME_LENGTH = 80;
+const MAX_CELL_LENGTH = 100;
+
+// Validate a { name, themeId?, cells } body. Returns { value } or { error }.
+function validateCardInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') return { error: 'Expected a JSON object' };
+  const value = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) return { error: 'Card name is required' };
+    if (name.length > MAX_NAME_LENGTH) return { error: `Card name is longer than ${MAX_NAME_LENGTH} characters` };
+    value.name = name;
+  }
+
+  if (input.themeId !== undefined) {
+    value.themeId = typeof input.themeId === 'string' && input.themeId ? input.themeId : null;
+  }
+
+  if (input.cells !== undefined || !partial) {
+    if (!Array.isArray(input.cells) || input.cells.length !== CARD_SIZE) {
+      return { error: `cells must be an array of ${CARD_SIZE} strings` };
+    }
+    const seen = new Set();
+    value.cells = [];
+    for (let i = 0; i < CARD_SIZE; i++) {
+      if (i === CENTRE) {
+        value.cells.push(FREE_SPACE);
+        continue;
+      }
+      const cell = typeof input.cells[i] === 'string' ? input.cells[i].trim() : '';
+      if (!cell) return { error: `Cell ${i + 1} is empty` };
+      if (cell.length > MAX_CELL_LENGTH) return { error: `Cell ${i + 1} is longer than ${MAX_CELL_LENGTH} characters` };
+      if (seen.has(cell.toLowerCase())) return { error: `"${cell}" appears more than once` };
+      seen.add(cell.toLowerCase());
+      value.cells.push(cell);
+    }
+  }
+
+  return { value };
+}
+
+function cardList(db) {
+  if (!Array.isArray(db.data.customCards)) db.data.customCards = [];
+  return db.data.customCards;
+}
+
+function getCard(db, id) {
+  return cardList(db).find((c) => c.id === id) || null;
+}
+
+function createCard(db, input) {
+  const { value, error } = validateCardInput(input);
+  if (error) return { error };
+  const now = new Date().toISOString();
+  const card = { id: crypto.randomUUID(), themeId: null, ...value, createdAt: now, updatedAt: now };
+  cardList(db).push(card);
+  return { card };
+}
+
+function updateCard(db, id, input) {
+  const card = getCard(db, id);
+  if (!card) return { error: 'Card not found', status: 404 };
+  const { value, error } = validateCardInput(input, { partial: true });
+  if (error) return { error };
+  Object.assign(card, value, { updatedAt: new Date().toISOString() });
+  return { card };
+}
+
+function deleteCard(db, id) {
+  const cards = cardList(db);
+  const idx = cards.findIndex((c) => c.id === id);
+  if (idx === -1) return false;
+  cards.splice(idx, 1);
+  return true;
+}
+
+// Put cards in the given id order; ids not listed keep their relative order
+// after the listed ones.
+function reorderCards(db, ids) {
+  if (!Array.isArray(ids)) return { error: 'ids must be an array' };
+  const cards = cardList(db);
+  const rank = new Map(ids.map((id, i) => [id, i]));
+  const sorted = cards
+    .map((card, i) => ({ card, key: rank.has(card.id) ? rank.get(card.id) : ids.length + i }))
+    .sort((a, b) => a.key - b.key)
+    .map((x) => x.card);
+  cards.splice(0, cards.length, ...sorted);
+  return { cards };
+}
+
+// the songs a card contributes to a call pool (everything but the FREE centre)
+function cardSongs(card) {
+  return card.cells.filter((cell, i) => i !== CENTRE || cell !== FREE_SPACE);
+}
+
+module.exports = {
+  getCard,
+  cardList,
+  createCard,
+  updateCard,
+  deleteCard,
+  reorderCards,
+  cardSongs,
+};
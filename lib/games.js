@@ -0,0 +1,212 @@
+// lib/games.js
+// Audit records of games, stored in lowdb (db.data.games). A record keeps a
+// game's seed with everything needed to rebuild its call order and cards, so
+// a disputed game can be replayed. The seed is secret while the game runs
+// (players only see its hash) and is revealed once the game ends: every stage
+// has been won, or the host starts the next game.
+//
+// The records are also the game history: the calls with their times, the
+// players, the claims and the winners, with CSV/JSON exports for the host.
+// Only the newest GAME_HISTORY_LIMIT (default 200) records are kept, not
+// counting the games still running in a room.
+//
+// { gameId, room, themeId, theme, seed, seedHash, cardPool, gridSize,
+//   cardCount, freeSpace, freeLabel, startedAt, endedAt, nextSerial,
+//   dealtSerials, calledHistory, voidedCalls, callLog, claims, winners,
+//   players: { name: [serial] } }
+//
+// Records from before card counts have no gridSize or cardCount (two 5x5
+// cards) and keep players as { name: { card1: serial, card2: serial } }.
+const { seedHash, callOrder } = require('./seed');
+const { cardForSerial, cardFromSerial, playerCards } = require('./cards');
+
+const HISTORY_LIMIT = Number(process.env.GAME_HISTORY_LIMIT) || 200;
+
+function gameList(db) {
+  if (!Array.isArray(db.data.games)) db.data.games = [];
+  return db.data.games;
+}
+
+function getGame(db, gameId) {
+  return gameList(db).find((g) => g.gameId === gameId) || null;
+}
+
+// Drop the oldest records beyond the history limit. Games still being played
+// (liveGameIds) are kept; a record that never ended but whose room is gone
+// counts like a finished one.
+function pruneGames(db, liveGameIds = []) {
+  const live = new Set(liveGameIds);
+  const list = gameList(db);
+  let excess = list.filter((g) => !live.has(g.gameId)).length - HISTORY_LIMIT;
+  for (let i = 0; i < list.length && excess > 0; ) {
+    if (!live.has(list[i].gameId)) {
+      list.splice(i, 1);
+      excess--;
+    } else {
+      i++;
+    }
+  }
+}
+
+// start the record of the room's new game; liveGameIds are the games running
+// in any room, which pruning keeps
+function recordGameStart(db, room, liveGameIds = [room.gameId]) {
+  const record = {
+    gameId: room.gameId,
+    room: room.code,
+    themeId: room.themeId,
+    theme: room.theme,
+    seed: room.seed,
+    seedHash: seedHash(room.seed),
+    cardPool: room.cardPool.slice(),
+    gridSize: room.gridSize,
+    cardCount: room.cardCount,
+    freeSpace: room.freeSpace,
+    freeLabel: room.freeLabel,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+  };
+  gameList(db).push(record);
+  pruneGames(db, liveGameIds);
+  return record;
+}
+
+// Close the record of the room's game with what happened in it. A closed
+// record is brought up to date again (e.g. a split-pot winner accepted after
+// the last stage). Returns the record, or null if the game was never recorded.
+function recordGameEnd(db, room) {
+  const record = getGame(db, room.gameId);
+  if (!record) return null;
+  const players = {};
+  for (const [name, entry] of Object.entries(room.playerCardsByGame[room.gameId] || {})) {
+    players[name] = playerCards(entry).serials;
+  }
+  Object.assign(record, {
+    endedAt: record.endedAt || new Date().toISOString(),
+    nextSerial: room.nextSerial,
+    dealtSerials: room.dealtSerials.slice(),
+    calledHistory: room.calledHistory.slice(),
+    voidedCalls: room.voidedCalls.slice(),
+    callLog: room.callLog.map((c) => ({ ...c })),
+    // the claimed card's cells can be rebuilt from its serial
+    claims: room.claims.map(({ cardCells, ...claim }) => claim),
+    winners: room.winners.slice(),
+    players,
+  });
+  return record;
+}
+
+// what the host may see of a record; the seed only once the game has ended
+function gameSummary(record) {
+  const { gameId, room, themeId, theme, seedHash: hash, startedAt, endedAt } = record;
+  return {
+    gameId,
+    room,
+    themeId,
+    theme,
+    seedHash: hash,
+    seed: endedAt ? record.seed : null,
+    startedAt,
+    endedAt,
+    calls: (record.calledHistory || []).length,
+    players: Object.keys(record.players || {}).length,
+    winners: (record.winners || []).map((w) => w.name),
+  };
+}
+
+// The calls of a record with their times. Records from before call times
+// only know the order of the calls that stood.
+function callsOf(record) {
+  if (Array.isArray(record.callLog)) return record.callLog;
+  return (record.calledHistory || []).map((song) => ({ song, at: null, retracted: null, retractedAt: null }));
+}
+
+// a game's history: the summary plus its calls, players, claims and winners
+function gameHistory(record) {
+  const players = {};
+  for (const [name, serials] of Object.entries(record.players || {})) {
+    players[name] = Array.isArray(serials) ? serials : Object.values(serials);
+  }
+  return {
+    ...gameSummary(record),
+    gridSize: record.gridSize || 5,
+    cardCount: record.cardCount || 2,
+    freeSpace: record.freeSpace,
+    callLog: callsOf(record),
+    voidedCalls: record.voidedCalls || [],
+    players,
+    claims: record.claims || [],
+    winners: record.winners || [],
+  };
+}
+
+// --- CSV exports ---
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csv(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// every winner of these games, one row each
+function winnersCsv(records) {
+  const rows = [['gameId', 'room', 'theme', 'startedAt', 'endedAt', 'stage', 'pattern', 'prize', 'winner', 'card', 'calls', 'wonAt']];
+  for (const record of records) {
+    for (const w of record.winners || []) {
+      const card = typeof w.card === 'number' ? w.card + 1 : w.card;
+      rows.push([record.gameId, record.room, record.theme, record.startedAt, record.endedAt, w.stage + 1, w.pattern, w.prize, w.name, card, w.calls, w.at]);
+    }
+  }
+  return csv(rows);
+}
+
+// one game's calls in order, including the ones taken back
+function callsCsv(record) {
+  const rows = [['n', 'song', 'calledAt', 'retracted', 'retractedAt']];
+  callsOf(record).forEach((c, i) => rows.push([i + 1, c.song, c.at, c.retracted, c.retractedAt]));
+  return csv(rows);
+}
+
+// Rebuild an ended game from its seed: the call order the seed produced, what
+// was actually called, and the cards of one player or one serial. Returns
+// { value } or { error }.
+function replayGame(record, { player, serial } = {}) {
+  if (!record.endedAt) return { error: 'The seed is revealed once the game has ended' };
+  const value = {
+    ...gameSummary(record),
+    callOrder: callOrder(record.seed, record.cardPool),
+    calledHistory: record.calledHistory,
+    voidedCalls: record.voidedCalls,
+    winners: record.winners,
+    cards: [],
+  };
+  if (player) {
+    const serials = record.players[player];
+    if (!serials) return { error: `No cards for ${player} in this game` };
+    (Array.isArray(serials) ? serials : Object.values(serials)).forEach((s, card) => {
+      // a custom card from the card builder has no serial to rebuild from
+      if (s) value.cards.push({ player, card, serial: s, cells: cardForSerial(record, s) });
+    });
+  }
+  if (serial) {
+    const card = cardFromSerial(record, serial);
+    if (card.error) return { error: card.error };
+    value.cards.push(card);
+  }
+  return { value };
+}
+
+module.exports = {
+  gameList,
+  getGame,
+  recordGameStart,
+  recordGameEnd,
+  gameSummary,
+  gameHistory,
+  winnersCsv,
+  callsCsv,
+  replayGame,
+};
@@ -0,0 +1,123 @@
+// lib/media.js
+// Audio clips for calls. Songs are matched to files in the local music folder
+// (MEDIA_DIR) by file name, e.g. "Cheers - Gary Portnoy.mp3" for the song
+// "Cheers - Gary Portnoy", or explicitly through a theme's media map:
+// { "Song - Artist": { file: "relative/path.mp3", start: 42 } } where start
+// is the offset in seconds the clip plays from. Files are always resolved
+// inside MEDIA_DIR.
+const fs = require('fs');
+const path = require('path');
+
+const AUDIO_EXTENSIONS = new Set(['.mp3', '.m4a', '.aac', '.ogg', '.oga', '.opus', '.wav', '.flac', '.webm']);
+const INDEX_TTL_MS = 60 * 1000; // rescan the folder at most once a minute
+const MAX_DEPTH = 6;
+
+let index = null; // { dir, builtAt, byName: Map<normalized name, relative path> }
+
+function mediaDir() {
+  return process.env.MEDIA_DIR ? path.resolve(process.env.MEDIA_DIR) : null;
+}
+
+// audio is only in play when a music folder is configured
+function mediaEnabled() {
+  return !!mediaDir();
+}
+
+// "Don't Stop - Fleetwood Mac" and "dont stop  fleetwood mac.mp3" match
+function normalizeName(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function walk(dir, rel, byName, depth) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(path.join(dir, rel), { withFileTypes: true });
+  } catch (err) {
+    console.warn(`⚠️ Could not read music folder ${path.join(dir, rel)}:`, err.message);
+    return;
+  }
+  for (const entry of entries) {
+    const entryRel = path.join(rel, entry.name);
+    if (entry.isDirectory() && depth < MAX_DEPTH) {
+      walk(dir, entryRel, byName, depth + 1);
+    } else if (entry.isFile() && AUDIO_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+      const key = normalizeName(path.basename(entry.name, path.extname(entry.name)));
+      if (!byName.has(key)) byName.set(key, entryRel);
+    }
+  }
+}
+
+function mediaIndex() {
+  const dir = mediaDir();
+  if (!dir) return null;
+  if (!index || index.dir !== dir || Date.now() - index.builtAt > INDEX_TTL_MS) {
+    const byName = new Map();
+    walk(dir, '', byName, 0);
+    index = { dir, builtAt: Date.now(), byName };
+  }
+  return index;
+}
+
+function insideDir(dir, file) {
+  const rel = path.relative(dir, file);
+  return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+// Find the clip for one song of a theme. Returns { file, start } or { error }.
+function resolveClip(theme, song) {
+  const dir = mediaDir();
+  if (!dir) return { error: 'No music folder configured (MEDIA_DIR)' };
+  const entry = theme && theme.media && theme.media[song];
+  if (entry) {
+    const file = path.resolve(dir, entry.file);
+    if (!insideDir(dir, file)) return { error: `"${entry.file}" is outside the music folder` };
+    if (!fs.existsSync(file)) return { error: `Audio file not found: ${entry.file}` };
+    return { file, start: entry.start || 0 };
+  }
+  const rel = mediaIndex().byName.get(normalizeName(song));
+  if (!rel) return { error: `No audio file for "${song}"` };
+  return { file: path.join(dir, rel), start: 0 };
+}
+
+function clipUrl(themeId, song) {
+  return `/api/media/clip/${encodeURIComponent(themeId)}?song=${encodeURIComponent(song)}`;
+}
+
+// which of a theme's songs have no playable clip
+function mediaStatus(theme) {
+  if (!mediaEnabled()) return { configured: false, total: theme.songs.length, found: 0, missing: [] };
+  const missing = theme.songs.filter((song) => resolveClip(theme, song).error);
+  return { configured: true, total: theme.songs.length, found: theme.songs.length - missing.length, missing };
+}
+
+// Validate a theme's media map (see the top of this file). Returns { value }
+// or { error }.
+function validateMediaMap(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'media must be an object keyed by song' };
+  const value = {};
+  for (const [song, entry] of Object.entries(input)) {
+    const file = entry && typeof entry.file === 'string' ? entry.file.trim() : '';
+    if (!file) return { error: `media for "${song}" needs a file` };
+    if (path.isAbsolute(file) || file.split(/[\\/]/).includes('..')) {
+      return { error: `media file for "${song}" must be a path inside the music folder` };
+    }
+    const start = entry.start === undefined ? 0 : Number(entry.start);
+    if (!Number.isFinite(start) || start < 0) return { error: `media start for "${song}" must be a number of seconds` };
+    value[song] = { file, start };
+  }
+  return { value };
+}
+
+module.exports = {
+  mediaEnabled,
+  resolveClip,
+  clipUrl,
+  mediaStatus,
+  validateMediaMap,
+};
@@ -0,0 +1,76 @@
+// lib/moderation.js
+// Host moderation of a room's players. room.bans lists the players banned
+// for the rest of the room's life: { name, sessionId, ip, at }. A ban always
+// covers the player's session (lib/sessions.js) and their name, also with a
+// "#n" suffix, so a player who lost their token cannot join again as
+// "Alice#2". It covers their IP address only when the host asks, since guests
+// on a venue's Wi-Fi often share one.
+// room.claimBlocks lists the names whose bingo claims are refused.
+
+function nameKey(name) {
+  return typeof name === 'string' ? name.normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase() : '';
+}
+
+// the ban matching this session, address or name, or null
+function banFor(room, { sessionId, ip, name }) {
+  const key = nameKey(name);
+  const names = key ? [key, key.replace(/\s*#\d+$/, '')] : [];
+  return room.bans.find((b) =>
+    (sessionId && b.sessionId === sessionId) || (ip && b.ip === ip) || names.includes(nameKey(b.name))) || null;
+}
+
+function addBan(room, { name, sessionId, ip }) {
+  const ban = { name, sessionId: sessionId || null, ip: ip || null, at: new Date().toISOString() };
+  room.bans.push(ban);
+  return ban;
+}
+
+// lift the bans on a name (matched like banFor matches names); returns false
+// if there were none
+function removeBan(room, name) {
+  const before = room.bans.length;
+  room.bans = room.bans.filter((b) => nameKey(b.name) !== nameKey(name));
+  return room.bans.length < before;
+}
+
+function setClaimBlock(room, name, blocked) {
+  room.claimBlocks = room.claimBlocks.filter((n) => n !== name);
+  if (blocked) room.claimBlocks.push(name);
+}
+
+// Move what the room keeps under a player's name to their new name: the
+// current game's cards, pending claims, claim cooldown and claim block.
+function renamePlayer(room, from, to) {
+  const cardsForGame = room.gameId ? room.playerCardsByGame[room.gameId] : null;
+  if (cardsForGame && cardsForGame[from]) {
+    cardsForGame[to] = cardsForGame[from];
+    delete cardsForGame[from];
+  }
+  room.claims.forEach((c) => {
+    if (c.name === from && c.status === 'pending') c.name = to;
+  });
+  if (room.claimPenalties[from]) {
+    room.claimPenalties[to] = room.claimPenalties[from];
+    delete room.claimPenalties[from];
+  }
+  if (room.claimBlocks.includes(from)) setClaimBlock(room, to, true);
+  setClaimBlock(room, from, false);
+}
+
+// what the host sees: who is banned (and whether by address) and who may
+// not claim
+function moderationState(room) {
+  return {
+    bans: room.bans.map((b) => ({ name: b.name, byIp: !!b.ip, at: b.at })),
+    claimBlocks: room.claimBlocks.slice(),
+  };
+}
+
+module.exports = {
+  banFor,
+  addBan,
+  removeBan,
+  setClaimBlock,
+  renamePlayer,
+  moderationState,
+};
@@ -0,0 +1,140 @@
+// lib/names.js
+// Rules for player names, checked when a player joins and when the host
+// renames someone. Each room has its own rules (room.nameRules):
+// { minLength, maxLength, charset: 'letters' | 'ascii', reserved: [names],
+//   profanityFilter }. 'letters' allows letters and digits of any alphabet,
+// 'ascii' only A-Z and 0-9; both allow spaces and . ' _ - between them.
+//
+// The profanity filter uses the offline blocklist in
+// data/profanity-blocklist.json, checked against the name's words with common
+// look-alike digits such as 0 for o undone and spelled-out letters ("f u c k")
+// joined: "stems" are refused at the start of a word ("fuckface"), "words"
+// only as a whole word so names like "Scunthorpe" or "Shitake" still pass,
+// and "phrases" as whole words in a row ("Mike Hunt").
+const fs = require('fs');
+const path = require('path');
+
+const BLOCKLIST_FILE = path.join(__dirname, '..', 'data', 'profanity-blocklist.json');
+const NAME_CHARSETS = ['letters', 'ascii'];
+const MAX_NAME_LENGTH = 40;
+const MAX_RESERVED = 50;
+const CHARSET_RES = {
+  letters: /^[\p{L}\p{M}\p{N} .'_-]+$/u,
+  ascii: /^[A-Za-z0-9 .'_-]+$/,
+};
+const LOOKALIKES = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i' };
+
+let blocklist = null;
+
+function loadBlocklist() {
+  if (!blocklist) {
+    try {
+      const { stems = [], words = [], phrases = [] } = JSON.parse(fs.readFileSync(BLOCKLIST_FILE, 'utf8'));
+      blocklist = { stems, words: new Set(words), phrases };
+    } catch (err) {
+      console.warn('⚠️ Could not read the profanity blocklist:', err.message);
+      blocklist = { stems: [], words: new Set(), phrases: [] };
+    }
+  }
+  return blocklist;
+}
+
+function createNameRules() {
+  return {
+    minLength: 2,
+    maxLength: 20,
+    charset: 'letters',
+    reserved: ['Host', 'Admin', 'Big Screen', 'FREE SPACE', 'Cypha'],
+    profanityFilter: true,
+  };
+}
+
+// Validate the host's { minLength, maxLength, charset, reserved,
+// profanityFilter }; reserved may be a list or one name per line. Returns
+// { value } or { error }.
+function validateNameRules(input) {
+  if (!input || typeof input !== 'object') return { error: 'No name rules given' };
+  const minLength = Number(input.minLength);
+  const maxLength = Number(input.maxLength);
+  if (!Number.isInteger(minLength) || minLength < 1 || minLength > 10) return { error: 'Shortest name must be 1-10 characters' };
+  if (!Number.isInteger(maxLength) || maxLength < Math.max(minLength, 4) || maxLength > MAX_NAME_LENGTH) {
+    return { error: `Longest name must be ${Math.max(minLength, 4)}-${MAX_NAME_LENGTH} characters` };
+  }
+  if (!NAME_CHARSETS.includes(input.charset)) return { error: `Characters must be one of: ${NAME_CHARSETS.join(', ')}` };
+  const list = Array.isArray(input.reserved) ? input.reserved : typeof input.reserved === 'string' ? input.reserved.split('\n') : [];
+  const reserved = [...new Set(list.filter((n) => typeof n === 'string').map((n) => n.trim()).filter(Boolean))];
+  if (reserved.length > MAX_RESERVED) return { error: `At most ${MAX_RESERVED} reserved names` };
+  return { value: { minLength, maxLength, charset: input.charset, reserved, profanityFilter: input.profanityFilter !== false } };
+}
+
+function foldName(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[0134578@$!]/g, (c) => LOOKALIKES[c] || c);
+}
+
+// the name's folded words; single letters in a row are joined into one word
+function nameWords(name) {
+  const words = [];
+  let letters = '';
+  for (const word of foldName(name).split(/[^a-z]+/).filter(Boolean)) {
+    if (word.length === 1) {
+      letters += word;
+      continue;
+    }
+    if (letters) words.push(letters);
+    letters = '';
+    words.push(word);
+  }
+  if (letters) words.push(letters);
+  return words;
+}
+
+function isProfane(name) {
+  const { stems, words, phrases } = loadBlocklist();
+  const nameWordList = nameWords(name);
+  if (nameWordList.some((word) => words.has(word) || stems.some((stem) => word.startsWith(stem)))) return true;
+  const joined = ` ${nameWordList.join(' ')} `;
+  return phrases.some((phrase) => joined.includes(` ${phrase} `));
+}
+
+// Check a name a player typed (or the host chose) against the rules.
+// Returns { value } with the tidied name (spaces collapsed) or { error }
+// with the reason to show.
+function validateName(rules, input) {
+  const name = typeof input === 'string' ? input.normalize('NFC').trim().replace(/\s+/g, ' ') : '';
+  if (!name) return { error: 'Enter a name' };
+  const length = Array.from(name).length;
+  if (length < rules.minLength) return { error: `Names need at least ${rules.minLength} characters` };
+  if (length > rules.maxLength) return { error: `Names can be at most ${rules.maxLength} characters` };
+  if (!CHARSET_RES[rules.charset].test(name)) {
+    return {
+      error: rules.charset === 'ascii'
+        ? "Names can only use A-Z, 0-9, spaces and . ' _ -"
+        : "Names can only use letters, numbers, spaces and . ' _ -",
+    };
+  }
+  if (!/[\p{L}\p{N}]/u.test(name)) return { error: 'Names need at least one letter or number' };
+  const lower = name.toLowerCase();
+  if (rules.reserved.some((r) => r.toLowerCase() === lower)) return { error: `"${name}" is reserved; pick another name` };
+  if (rules.profanityFilter && isProfane(name)) return { error: 'That name is not allowed; pick another name' };
+  return { value: name };
+}
+
+// "name#n" for the n-th player with the same name, shortened to fit the
+// longest name allowed
+function withSuffix(rules, name, n) {
+  const suffix = `#${n}`;
+  const base = Array.from(name).slice(0, Math.max(1, rules.maxLength - suffix.length)).join('').trimEnd();
+  return `${base}${suffix}`;
+}
+
+module.exports = {
+  NAME_CHARSETS,
+  createNameRules,
+  validateNameRules,
+  validateName,
+  withSuffix,
+};
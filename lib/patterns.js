@@ -0,0 +1,270 @@
+// lib/patterns.js
+// Winning patterns and the claim checker used by server.js. A pattern is
+// { id, name, masks }; each mask is a list of cell indices (0..24 on the 5x5
+// card, row-major) that must all be called for the card to win, and a card
+// wins if any one of the pattern's masks is complete. Built-in patterns live
+// here; hosts can add their own, stored in lowdb (db.data.patterns).
+//
+// Games may also use smaller 3x3 or 4x4 cards. The patterns made of lines,
+// corners and the border scale to any grid (patternMasks); the pictures and
+// custom patterns only fit the 5x5 card.
+
+const GRID = 5;
+const CARD_SIZE = GRID * GRID;
+const GRID_SIZES = [3, 4, 5];
+// the centre tile may be a free square: it counts as called. Cards from the
+// builder always use FREE_SPACE; a game may pick its own label instead.
+// Only grids with an odd size have a centre tile.
+const FREE_SPACE = 'FREE SPACE';
+const FREE_INDEX = Math.floor(CARD_SIZE / 2);
+const MAX_MASKS = 64;
+const MAX_NAME_LENGTH = 40;
+
+function row(r, size = GRID) {
+  return Array.from({ length: size }, (_, c) => r * size + c);
+}
+
+function col(c, size = GRID) {
+  return Array.from({ length: size }, (_, r) => r * size + c);
+}
+
+function rows(size = GRID) {
+  return Array.from({ length: size }, (_, r) => row(r, size));
+}
+
+function cols(size = GRID) {
+  return Array.from({ length: size }, (_, c) => col(c, size));
+}
+
+// build a mask from a picture: 5 strings of 5 chars, 'X' = cell needed
+function shape(...rows) {
+  const cells = [];
+  rows.forEach((line, r) => {
+    [...line].forEach((ch, c) => {
+      if (ch === 'X') cells.push(r * GRID + c);
+    });
+  });
+  return cells;
+}
+
+function diagonals(size = GRID) {
+  return [
+    Array.from({ length: size }, (_, i) => i * size + i),
+    Array.from({ length: size }, (_, i) => i * size + (size - 1 - i)),
+  ];
+}
+
+function lines(size = GRID) {
+  return [...rows(size), ...cols(size), ...diagonals(size)];
+}
+
+function union(...masks) {
+  return [...new Set(masks.flat())].sort((x, y) => x - y);
+}
+
+// every union of two different lines (rows, columns or diagonals)
+function linePairs(size = GRID) {
+  const all = lines(size);
+  const masks = [];
+  for (let a = 0; a < all.length; a++) {
+    for (let b = a + 1; b < all.length; b++) masks.push(union(all[a], all[b]));
+  }
+  return masks;
+}
+
+function corners(size = GRID) {
+  return [0, size - 1, size * (size - 1), size * size - 1];
+}
+
+function border(size = GRID) {
+  return union(row(0, size), row(size - 1, size), col(0, size), col(size - 1, size));
+}
+
+function fullCard(size = GRID) {
+  return Array.from({ length: size * size }, (_, i) => i);
+}
+
+// built-in patterns that exist on other grid sizes: id => size => masks
+const SCALABLE = {
+  line: (size) => lines(size),
+  'two-lines': (size) => linePairs(size),
+  'any-row': (size) => rows(size),
+  'any-column': (size) => cols(size),
+  diagonal: (size) => diagonals(size),
+  'four-corners': (size) => [corners(size)],
+  x: (size) => [union(...diagonals(size))],
+  // a plus needs a middle row and column
+  plus: (size) => (size % 2 ? [union(row((size - 1) / 2, size), col((size - 1) / 2, size))] : null),
+  'picture-frame': (size) => [border(size)],
+  'full-card': (size) => [fullCard(size)],
+};
+
+const BUILTIN_PATTERNS = [
+  { id: 'line', name: 'Any Line', masks: lines() },
+  { id: 'two-lines', name: 'Two Lines', masks: linePairs() },
+  { id: 'any-row', name: 'Any Row', masks: rows() },
+  { id: 'any-column', name: 'Any Column', masks: cols() },
+  { id: 'diagonal', name: 'Diagonal', masks: diagonals() },
+  { id: 'four-corners', name: 'Four Corners', masks: [corners()] },
+  { id: 'x', name: 'X', masks: [shape('X...X', '.X.X.', '..X..', '.X.X.', 'X...X')] },
+  { id: 'plus', name: 'Plus', masks: [shape('..X..', '..X..', 'XXXXX', '..X..', '..X..')] },
+  {
+    id: 'postage-stamp',
+    name: 'Postage Stamp',
+    masks: [
+      shape('XX...', 'XX...', '.....', '.....', '.....'),
+      shape('...XX', '...XX', '.....', '.....', '.....'),
+      shape('.....', '.....', '.....', 'XX...', 'XX...'),
+      shape('.....', '.....', '.....', '...XX', '...XX'),
+    ],
+  },
+  { id: 'picture-frame', name: 'Picture Frame', masks: [shape('XXXXX', 'X...X', 'X...X', 'X...X', 'XXXXX')] },
+  { id: 'small-frame', name: 'Small Frame', masks: [shape('.....', '.XXX.', '.X.X.', '.XXX.', '.....')] },
+  { id: 'letter-t', name: 'Letter T', masks: [shape('XXXXX', '..X..', '..X..', '..X..', '..X..')] },
+  { id: 'letter-l', name: 'Letter L', masks: [shape('X....', 'X....', 'X....', 'X....', 'XXXXX')] },
+  { id: 'letter-h', name: 'Letter H', masks: [shape('X...X', 'X...X', 'XXXXX', 'X...X', 'X...X')] },
+  { id: 'letter-u', name: 'Letter U', masks: [shape('X...X', 'X...X', 'X...X', 'X...X', 'XXXXX')] },
+  { id: 'letter-z', name: 'Letter Z', masks: [shape('XXXXX', '...X.', '..X..', '.X...', 'XXXXX')] },
+  { id: 'letter-e', name: 'Letter E', masks: [shape('XXXXX', 'X....', 'XXXXX', 'X....', 'XXXXX')] },
+  { id: 'full-card', name: 'Blackout', masks: [fullCard()] },
+];
+
+const DEFAULT_PATTERN = 'line';
+
+// --- catalog (built-ins + custom patterns from lowdb) ---
+
+function customPatterns(db) {
+  if (!Array.isArray(db.data.patterns)) db.data.patterns = [];
+  return db.data.patterns;
+}
+
+function listPatterns(db) {
+  return [
+    ...BUILTIN_PATTERNS.map((p) => ({ ...p, builtin: true })),
+    ...customPatterns(db).map((p) => ({ ...p, builtin: false })),
+  ];
+}
+
+// look a pattern up by id; unknown ids resolve to null
+function getPattern(db, id) {
+  return BUILTIN_PATTERNS.find((p) => p.id === id) || customPatterns(db).find((p) => p.id === id) || null;
+}
+
+// the pattern's masks on a size x size card, or null if it does not fit
+function patternMasks(pattern, size = GRID) {
+  if (size === GRID) return pattern.masks;
+  // custom patterns are drawn on the 5x5 card; their ids never clash
+  const scaled = Object.prototype.hasOwnProperty.call(SCALABLE, pattern.id) ? SCALABLE[pattern.id] : null;
+  return scaled ? scaled(size) : null;
+}
+
+// Validate { name, masks } (or { name, cells } for a single shape).
+// Returns { value } or { error }.
+function validatePatternInput(input) {
+  if (!input || typeof input !== 'object') return { error: 'Expected a JSON object' };
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) return { error: 'Pattern name is required' };
+  if (name.length > MAX_NAME_LENGTH) return { error: `Pattern name is longer than ${MAX_NAME_LENGTH} characters` };
+
+  const rawMasks = Array.isArray(input.masks) ? input.masks : Array.isArray(input.cells) ? [input.cells] : null;
+  if (!rawMasks || !rawMasks.length) return { error: 'Pattern needs at least one shape' };
+  if (rawMasks.length > MAX_MASKS) return { error: `Pattern has more than ${MAX_MASKS} shapes` };
+
+  const masks = [];
+  for (const mask of rawMasks) {
+    if (!Array.isArray(mask) || !mask.length) return { error: 'Every shape needs at least one cell' };
+    if (mask.some((i) => !Number.isInteger(i) || i < 0 || i >= CARD_SIZE)) {
+      return { error: `Cells must be whole numbers from 0 to ${CARD_SIZE - 1}` };
+    }
+    masks.push([...new Set(mask)].sort((a, b) => a - b));
+  }
+  return { value: { name, masks } };
+}
+
+function createPattern(db, input) {
+  const { value, error } = validatePatternInput(input);
+  if (error) return { error };
+  const slug = value.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pattern';
+  const base = `custom-${slug}`;
+  let id = base;
+  let n = 2;
+  while (getPattern(db, id)) id = `${base}-${n++}`;
+  const pattern = { id, ...value, createdAt: new Date().toISOString() };
+  customPatterns(db).push(pattern);
+  return { pattern };
+}
+
+function deletePattern(db, id) {
+  const list = customPatterns(db);
+  const idx = list.findIndex((p) => p.id === id);
+  if (idx === -1) return false;
+  list.splice(idx, 1);
+  return true;
+}
+
+// --- claim checking ---
+
+// the centre tile of an odd-sized card
+function isFreeCell(card, i, freeLabel) {
+  const centre = card.length % 2 === 1 && i === Math.floor(card.length / 2);
+  return centre && (card[i] === FREE_SPACE || (!!freeLabel && card[i] === freeLabel));
+}
+
+// Check one card (array of song strings, row-major) against the called songs.
+// Returns the best mask for this card: the first fully-called one if any,
+// otherwise the one with the fewest missing calls so the host can see how
+// close the claim was. A free centre tile (see isFreeCell) is never missing.
+function checkCard(card, called, masks, freeLabel) {
+  const calledSet = called instanceof Set ? called : new Set(called);
+  let best = null;
+  for (const mask of masks) {
+    const cells = mask.filter((i) => i < card.length);
+    if (cells.length !== mask.length) continue; // short card cannot satisfy mask
+    const missing = cells.filter((i) => !isFreeCell(card, i, freeLabel) && !calledSet.has(card[i])).map((i) => card[i]);
+    if (!best || missing.length < best.missing.length) {
+      best = { cells, missing };
+      if (missing.length === 0) break;
+    }
+  }
+  return best;
+}
+
+// Check a player's cards ({ cards: [...] }, or { card1, card2 } as older
+// records store them) against the called songs for a pattern ({ id, masks }).
+// The verdict lists the card (its index), the cells that make (or would make)
+// the win, and any calls from those cells still missing.
+function checkClaim(cards, called, pattern, freeLabel) {
+  const { id } = pattern;
+  let verdict = { valid: false, pattern: id, card: null, cells: [], missing: [] };
+  if (!cards) return verdict;
+
+  const list = Array.isArray(cards.cards) ? cards.cards : [cards.card1, cards.card2];
+  const calledSet = new Set(called);
+  for (let index = 0; index < list.length; index++) {
+    if (!Array.isArray(list[index])) continue;
+    const masks = patternMasks(pattern, Math.round(Math.sqrt(list[index].length)));
+    if (!masks) continue;
+    const best = checkCard(list[index], calledSet, masks, freeLabel);
+    if (!best) continue;
+    if (verdict.card === null || best.missing.length < verdict.missing.length) {
+      verdict = { valid: best.missing.length === 0, pattern: id, card: index, cells: best.cells, missing: best.missing };
+      if (verdict.valid) break;
+    }
+  }
+  return verdict;
+}
+
+module.exports = {
+  CARD_SIZE,
+  GRID_SIZES,
+  FREE_SPACE,
+  FREE_INDEX,
+  DEFAULT_PATTERN,
+  listPatterns,
+  getPattern,
+  patternMasks,
+  createPattern,
+  deletePattern,
+  checkCard,
+  checkClaim,
+};
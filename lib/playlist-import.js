@@ -0,0 +1,245 @@
+// lib/playlist-import.js
+// Turn playlist exports into theme songs in the "Song - Artist" format that
+// main.js buildTile splits on. Supported inputs:
+//   - CSV with title and artist columns (Exportify, TuneMyMusic, Soundiiz...)
+//   - M3U / M3U8 with #EXTINF:<secs>,<Artist> - <Title> lines
+//   - JSON: Spotify Web API playlist/track pages, Apple Music API or iTunes
+//     library exports, and plain arrays of { title, artist } objects
+
+const TITLE_COLUMNS = ['title', 'track name', 'track', 'song', 'song name', 'name'];
+const ARTIST_COLUMNS = ['artist', 'artist name(s)', 'artist name', 'artists', 'artist(s)', 'performer'];
+
+// " - " is the title/artist separator on tiles, so it must not appear inside
+// either half; swap it for an en dash
+function clean(text) {
+  return String(text == null ? '' : text)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/ - /g, ' – ');
+}
+
+function formatSong(title, artist) {
+  const t = clean(title);
+  const a = clean(artist);
+  if (!t) return '';
+  return a ? `${t} - ${a}` : t;
+}
+
+function detectFormat(filename, content) {
+  const ext = (String(filename || '').match(/\.([a-z0-9]+)$/i) || [])[1];
+  if (ext) {
+    const lower = ext.toLowerCase();
+    if (lower === 'm3u' || lower === 'm3u8') return 'm3u';
+    if (lower === 'csv' || (lower === 'txt' && content.includes(','))) return 'csv';
+    if (lower === 'json') return 'json';
+  }
+  const head = content.trimStart();
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  if (head.startsWith('#EXTM3U') || head.startsWith('#EXTINF')) return 'm3u';
+  return 'csv';
+}
+
+// --- CSV ---
+
+// RFC 4180-ish: quoted fields, doubled quotes, commas/newlines in quotes
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function parseCsv(content) {
+  const entries = [];
+  const errors = [];
+  const rows = parseCsvRows(content.replace(/^\uFEFF/, ''));
+  if (!rows.length) return { entries, errors: [{ line: 0, message: 'File is empty' }] };
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const titleIdx = TITLE_COLUMNS.map((c) => header.indexOf(c)).find((i) => i !== -1);
+  const artistIdx = ARTIST_COLUMNS.map((c) => header.indexOf(c)).find((i) => i !== -1);
+  if (titleIdx === undefined) {
+    return { entries, errors: [{ line: 1, message: `No title column found (expected one of: ${TITLE_COLUMNS.join(', ')})` }] };
+  }
+
+  rows.slice(1).forEach((cols, i) => {
+    const line = i + 2;
+    if (cols.every((c) => !c.trim())) return; // blank line
+    const title = cols[titleIdx];
+    if (!title || !title.trim()) {
+      errors.push({ line, message: 'Missing title' });
+      return;
+    }
+    const artist = artistIdx === undefined ? '' : cols[artistIdx];
+    entries.push({ line, song: formatSong(title, artist) });
+  });
+  return { entries, errors };
+}
+
+// --- M3U ---
+
+// "music/Cameo%20-%20Candy.mp3" -> "Cameo - Candy"
+function fileLabel(mediaPath) {
+  let name = mediaPath.split(/[\\/]/).pop();
+  try {
+    name = decodeURIComponent(name);
+  } catch (err) {
+    // not URL-encoded; use as-is
+  }
+  return name.replace(/\.[a-z0-9]+$/i, '').trim();
+}
+
+function parseM3u(content) {
+  const entries = [];
+  const errors = [];
+  let pending = null; // { line, text } from the last #EXTINF
+  content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    const text = raw.trim();
+    if (!text) return;
+    if (text.startsWith('#EXTINF')) {
+      const comma = text.indexOf(',');
+      if (comma === -1) {
+        errors.push({ line, message: 'Malformed #EXTINF (no comma before the title)' });
+        pending = null;
+        return;
+      }
+      pending = { line, text: text.slice(comma + 1).trim() };
+      return;
+    }
+    if (text.startsWith('#')) return; // other directives / comments
+
+    // a media path; prefer the #EXTINF label, else fall back to the file name
+    const label = pending ? pending.text : fileLabel(text);
+    const at = pending ? pending.line : line;
+    pending = null;
+    if (!label) {
+      errors.push({ line: at, message: 'Entry has no title' });
+      return;
+    }
+    // EXTINF labels are conventionally "Artist - Title"
+    const sep = label.indexOf(' - ');
+    const song = sep === -1 ? formatSong(label, '') : formatSong(label.slice(sep + 3), label.slice(0, sep));
+    entries.push({ line: at, song });
+  });
+  if (pending) errors.push({ line: pending.line, message: '#EXTINF without a following media line' });
+  return { entries, errors };
+}
+
+// --- JSON ---
+
+function artistOf(item) {
+  if (Array.isArray(item.artists)) {
+    const first = item.artists[0];
+    return typeof first === 'string' ? first : first && first.name;
+  }
+  return item.artist || item.artistName || item.artist_name || (item.attributes && item.attributes.artistName) || '';
+}
+
+function titleOf(item) {
+  return item.name || item.title || item.trackName || item.track_name || (item.attributes && item.attributes.name) || '';
+}
+
+// find the list of tracks in the shapes the common export tools produce
+function trackList(data) {
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== 'object') return null;
+  if (Array.isArray(data.items)) return data.items; // Spotify playlist tracks page
+  if (data.tracks) {
+    if (Array.isArray(data.tracks)) return data.tracks; // generic / TuneMyMusic
+    if (Array.isArray(data.tracks.items)) return data.tracks.items; // Spotify playlist object
+    if (typeof data.tracks === 'object') return Object.values(data.tracks); // iTunes library (keyed by id)
+  }
+  if (Array.isArray(data.data)) return data.data; // Apple Music API
+  if (Array.isArray(data.playlists) && data.playlists[0]) return trackList(data.playlists[0]);
+  return null;
+}
+
+function parseJson(content) {
+  const entries = [];
+  const errors = [];
+  let data;
+  try {
+    data = JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch (err) {
+    return { entries, errors: [{ line: 0, message: `Invalid JSON: ${err.message}` }] };
+  }
+  const list = trackList(data);
+  if (!list) return { entries, errors: [{ line: 0, message: 'No track list found in JSON' }] };
+
+  list.forEach((raw, i) => {
+    const item = raw && typeof raw.track === 'object' && raw.track ? raw.track : raw; // Spotify wraps in { track }
+    const line = i + 1; // position in the track list
+    if (!item || typeof item !== 'object') {
+      errors.push({ line, message: 'Track entry is not an object' });
+      return;
+    }
+    const title = titleOf(item);
+    if (!title) {
+      errors.push({ line, message: 'Track has no title' });
+      return;
+    }
+    entries.push({ line, song: formatSong(title, artistOf(item)) });
+  });
+  return { entries, errors };
+}
+
+const PARSERS = { csv: parseCsv, m3u: parseM3u, json: parseJson };
+
+// Parse a playlist file. Returns { format, songs, errors, duplicates } where
+// duplicates lists repeated songs (case-insensitive) that were dropped.
+function parsePlaylist(filename, content) {
+  const text = typeof content === 'string' ? content : '';
+  const format = detectFormat(filename, text);
+  const { entries, errors } = PARSERS[format](text);
+
+  const seen = new Set();
+  const songs = [];
+  const duplicates = [];
+  for (const { line, song } of entries) {
+    if (!song) continue;
+    const key = song.toLowerCase();
+    if (seen.has(key)) {
+      duplicates.push({ line, song });
+      continue;
+    }
+    seen.add(key);
+    songs.push(song);
+  }
+  return { format, songs, errors, duplicates };
+}
+
+module.exports = {
+  parsePlaylist,
+};
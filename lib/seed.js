@@ -0,0 +1,55 @@
+// lib/seed.js
+// Seeded randomness. Each game gets a random seed; the call order and every
+// card are drawn from PRNG streams derived from it, so a finished game can be
+// replayed exactly from its seed (see lib/games.js).
+const crypto = require('crypto');
+
+function createSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// published while a game runs so players can check the seed revealed after
+// it ends is the one that was used
+function seedHash(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// mulberry32: a small PRNG that gives the same numbers for the same seed
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// an independent stream of a game's seed for one purpose, e.g. 'calls' or a
+// card serial
+function streamFor(seed, purpose) {
+  return seededRandom(crypto.createHmac('sha256', seed).update(purpose).digest().readUInt32BE(0));
+}
+
+function seededShuffle(array, random) {
+  const a = [...array];
+  for (let i = a.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [a[i], a[j]] = [a[j], a[i]];
+  }
+  return a;
+}
+
+// the order a game calls its songs in
+function callOrder(seed, songs) {
+  return seededShuffle(songs, streamFor(seed, 'calls'));
+}
+
+module.exports = {
+  createSeed,
+  seedHash,
+  streamFor,
+  seededShuffle,
+  callOrder,
+};
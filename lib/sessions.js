@@ -0,0 +1,134 @@
+// lib/sessions.js
+// Player sessions, stored in lowdb (db.data.playerSessions, keyed by id).
+// Joining a room under a new name opens a session that binds the name to that
+// player: their phone keeps a signed token to resume with, and a short
+// recovery code shown on screen moves the session to another device. A name
+// with a live session can only be taken back with its token or recovery code.
+//
+// { id, room, name, nonce, recoveryCode, createdAt, lastSeenAt }
+//
+// A token is "<id>.<nonce>.<signature>", signed with the server's session
+// secret (SESSION_SECRET, else generated once and kept in
+// db.data.sessionSecret). Recovering a session draws a new nonce and code, so
+// the old device's token stops working. Sessions unused for SESSION_TTL_MS
+// expire and free their name.
+const crypto = require('crypto');
+
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const RECOVERY_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RECOVERY_LENGTH = 6;
+
+function sessionMap(db) {
+  if (!db.data.playerSessions || typeof db.data.playerSessions !== 'object') db.data.playerSessions = {};
+  return db.data.playerSessions;
+}
+
+// the key tokens are signed with, made on first use (the caller saves the db)
+function sessionSecret(db) {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (!db.data.sessionSecret) db.data.sessionSecret = crypto.randomBytes(32).toString('hex');
+  return db.data.sessionSecret;
+}
+
+function sign(db, id, nonce) {
+  return crypto.createHmac('sha256', sessionSecret(db)).update(`${id}.${nonce}`).digest('base64url');
+}
+
+function tokenFor(db, session) {
+  return `${session.id}.${session.nonce}.${sign(db, session.id, session.nonce)}`;
+}
+
+function newRecoveryCode() {
+  let code = '';
+  for (let i = 0; i < RECOVERY_LENGTH; i++) code += RECOVERY_CHARS[crypto.randomInt(RECOVERY_CHARS.length)];
+  return code;
+}
+
+// "K7P3QX" is shown as "K7P-3QX"; typed codes may use either form
+function formatRecoveryCode(code) {
+  return `${code.slice(0, 3)}-${code.slice(3)}`;
+}
+
+function isLive(session, now) {
+  return now - session.lastSeenAt < SESSION_TTL_MS;
+}
+
+// forget expired sessions so their names can be used again
+function pruneSessions(db, now = Date.now()) {
+  const map = sessionMap(db);
+  for (const [id, session] of Object.entries(map)) {
+    if (!isLive(session, now)) delete map[id];
+  }
+}
+
+// the live session holding this name in the room, or null
+function sessionForName(db, room, name, now = Date.now()) {
+  return Object.values(sessionMap(db)).find((s) => s.room === room && s.name === name && isLive(s, now)) || null;
+}
+
+// Open a session for a player who just joined. Returns { session, token }.
+function openSession(db, room, name, now = Date.now()) {
+  pruneSessions(db, now);
+  const session = {
+    id: crypto.randomUUID(),
+    room,
+    name,
+    nonce: crypto.randomBytes(8).toString('hex'),
+    recoveryCode: newRecoveryCode(),
+    createdAt: new Date(now).toISOString(),
+    lastSeenAt: now,
+  };
+  sessionMap(db)[session.id] = session;
+  return { session, token: tokenFor(db, session) };
+}
+
+// The live session a token belongs to (its use keeps it alive), or null for
+// a forged, replaced or expired token.
+function sessionFromToken(db, token, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+  const [id, nonce, signature] = token.split('.');
+  if (!id || !nonce || !signature) return null;
+  const expected = Buffer.from(sign(db, id, nonce));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  const session = sessionMap(db)[id];
+  if (!session || session.nonce !== nonce || !isLive(session, now)) return null;
+  session.lastSeenAt = now;
+  return session;
+}
+
+// Move a session to a new device with its recovery code. The session gets a
+// new nonce and code, so the old token and code stop working. Returns
+// { session, token } or { error }.
+function recoverSession(db, room, input, now = Date.now()) {
+  const code = typeof input === 'string' ? input.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+  if (code.length !== RECOVERY_LENGTH) return { error: 'Recovery codes look like K7P-3QX' };
+  const session = Object.values(sessionMap(db)).find((s) => s.room === room && s.recoveryCode === code && isLive(s, now));
+  if (!session) return { error: 'That recovery code does not match a player in this room' };
+  session.nonce = crypto.randomBytes(8).toString('hex');
+  session.recoveryCode = newRecoveryCode();
+  session.lastSeenAt = now;
+  return { session, token: tokenFor(db, session) };
+}
+
+// close a session (the host removed the player); its token stops working and
+// its name is free again
+function endSession(db, id) {
+  delete sessionMap(db)[id];
+}
+
+// what the 'session' event sends the player
+function sessionPayload(session, token) {
+  return { token, name: session.name, room: session.room, recoveryCode: formatRecoveryCode(session.recoveryCode) };
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  sessionSecret,
+  sessionForName,
+  openSession,
+  sessionFromToken,
+  recoverSession,
+  endSession,
+  sessionPayload,
+};
@@ -0,0 +1,88 @@
+// lib/stages.js
+// Multi-stage games: one set of cards played through an ordered list of
+// stages, e.g. "one line, then two lines, then full house". Each stage is
+// { pattern, prize } where pattern is a pattern id from lib/patterns. The
+// room moves to the next stage once a claim for the current one is verified.
+const { getPattern, patternMasks } = require('./patterns');
+
+const MAX_STAGES = 10;
+const MAX_PRIZE_LENGTH = 60;
+
+// Validate a list of { patternId, prize } (or { pattern, prize }) entries
+// for a game on gridSize x gridSize cards. An empty or missing list becomes a
+// single stage on fallbackPattern. Returns { value } or { error }.
+function validateStages(db, input, fallbackPattern, gridSize = 5) {
+  if (input === undefined || input === null || (Array.isArray(input) && !input.length)) {
+    const pattern = getPattern(db, fallbackPattern);
+    if (pattern && !patternMasks(pattern, gridSize)) return { error: `${pattern.name} is only for 5x5 cards` };
+    return { value: [{ pattern: fallbackPattern, prize: '' }] };
+  }
+  if (!Array.isArray(input)) return { error: 'stages must be an array' };
+  if (input.length > MAX_STAGES) return { error: `A game can have at most ${MAX_STAGES} stages` };
+
+  const value = [];
+  for (let i = 0; i < input.length; i++) {
+    const stage = input[i] || {};
+    const patternId = typeof stage === 'string' ? stage : stage.patternId || stage.pattern;
+    const pattern = getPattern(db, patternId);
+    if (!pattern) return { error: `Stage ${i + 1}: unknown pattern ${patternId}` };
+    if (!patternMasks(pattern, gridSize)) return { error: `Stage ${i + 1}: ${pattern.name} is only for 5x5 cards` };
+    const prize = typeof stage.prize === 'string' ? stage.prize.trim() : '';
+    if (prize.length > MAX_PRIZE_LENGTH) return { error: `Stage ${i + 1}: prize is longer than ${MAX_PRIZE_LENGTH} characters` };
+    value.push({ pattern: patternId, prize });
+  }
+  return { value };
+}
+
+// the stage being played, or null once every stage has been won
+function currentStage(room) {
+  return room.stages[room.stageIndex] || null;
+}
+
+// what 'stage-update' sends: the stage list (with pattern names for display),
+// where the game is up to, and who won each finished stage (splitWays > 1
+// when a split pot shares the stage)
+function stageInfo(db, room) {
+  const named = (id) => {
+    const pattern = getPattern(db, id);
+    return pattern ? pattern.name : id;
+  };
+  const perStage = {};
+  room.winners.forEach((w) => { perStage[w.stage] = (perStage[w.stage] || 0) + 1; });
+  return {
+    gameId: room.gameId,
+    index: room.stageIndex,
+    total: room.stages.length,
+    finished: !!room.gameId && room.stageIndex >= room.stages.length,
+    stages: room.stages.map((s) => ({ pattern: s.pattern, patternName: named(s.pattern), prize: s.prize })),
+    winners: room.winners.map((w) => ({ ...w, splitWays: perStage[w.stage] })),
+  };
+}
+
+// Record a verified win for the current stage and move on. Returns the
+// winner entry.
+function recordStageWin(room, { name, card, calls }) {
+  const stage = currentStage(room);
+  const winner = {
+    stage: room.stageIndex,
+    pattern: stage.pattern,
+    prize: stage.prize,
+    name,
+    card,
+    calls,
+    at: new Date().toISOString(),
+  };
+  room.winners.push(winner);
+  room.stageIndex++;
+  const next = currentStage(room);
+  if (next) room.pattern = next.pattern;
+  return winner;
+}
+
+module.exports = {
+  MAX_STAGES,
+  validateStages,
+  currentStage,
+  stageInfo,
+  recordStageWin,
+};
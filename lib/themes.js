@@ -0,0 +1,126 @@
+// lib/themes.js
+// Theme catalog stored in lowdb (db.data.themes). Each theme is
+// { id, name, songs: ["Song - Artist", ...], media?, createdAt, updatedAt }
+// where the optional media map points songs at audio clips (lib/media.js).
+const fs = require('fs');
+const path = require('path');
+const { validateMediaMap } = require('./media');
+
+const SEED_FILE = path.join(__dirname, '..', 'data', 'default-themes.json');
+const MAX_NAME_LENGTH = 80;
+
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'theme';
+}
+
+function uniqueId(themes, name) {
+  const base = slugify(name);
+  let id = base;
+  let n = 2;
+  while (themes.some((t) => t.id === id)) id = `${base}-${n++}`;
+  return id;
+}
+
+// Validate a { name, songs, media? } body. Songs are trimmed, blanks dropped and
+// repeats removed (a repeated song would appear twice on a card).
+// Returns { value } or { error }.
+function validateThemeInput(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object') return { error: 'Expected a JSON object' };
+  const value = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) return { error: 'Theme name is required' };
+    if (name.length > MAX_NAME_LENGTH) return { error: `Theme name is longer than ${MAX_NAME_LENGTH} characters` };
+    value.name = name;
+  }
+
+  if (input.songs !== undefined || !partial) {
+    if (!Array.isArray(input.songs)) return { error: 'songs must be an array of strings' };
+    const seen = new Set();
+    value.songs = [];
+    for (const song of input.songs) {
+      if (typeof song !== 'string') return { error: 'songs must be an array of strings' };
+      const trimmed = song.trim();
+      if (!trimmed || seen.has(trimmed)) continue;
+      seen.add(trimmed);
+      value.songs.push(trimmed);
+    }
+  }
+
+  if (input.media !== undefined) {
+    const media = validateMediaMap(input.media);
+    if (media.error) return { error: media.error };
+    value.media = media.value;
+  }
+
+  return { value };
+}
+
+// First start: copy the bundled playlists into the database
+function seedThemes(db) {
+  if (Array.isArray(db.data.themes)) return false;
+  let seed = [];
+  try {
+    seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+  } catch (err) {
+    console.warn('⚠️ Could not read theme seed file:', err.message);
+  }
+  db.data.themes = [];
+  const now = new Date().toISOString();
+  for (const t of seed) {
+    const { value } = validateThemeInput(t);
+    if (!value) continue;
+    db.data.themes.push({ id: uniqueId(db.data.themes, value.name), ...value, createdAt: now, updatedAt: now });
+  }
+  return true;
+}
+
+function listThemes(db) {
+  return (db.data.themes || []).map((t) => ({ id: t.id, name: t.name, songCount: t.songs.length }));
+}
+
+function getTheme(db, id) {
+  return (db.data.themes || []).find((t) => t.id === id) || null;
+}
+
+function createTheme(db, input) {
+  const { value, error } = validateThemeInput(input);
+  if (error) return { error };
+  const now = new Date().toISOString();
+  const theme = { id: uniqueId(db.data.themes, value.name), ...value, createdAt: now, updatedAt: now };
+  db.data.themes.push(theme);
+  return { theme };
+}
+
+function updateTheme(db, id, input) {
+  const theme = getTheme(db, id);
+  if (!theme) return { error: 'Theme not found', status: 404 };
+  const { value, error } = validateThemeInput(input, { partial: true });
+  if (error) return { error };
+  Object.assign(theme, value, { updatedAt: new Date().toISOString() });
+  return { theme };
+}
+
+function deleteTheme(db, id) {
+  const idx = (db.data.themes || []).findIndex((t) => t.id === id);
+  if (idx === -1) return false;
+  db.data.themes.splice(idx, 1);
+  return true;
+}
+
+module.exports = {
+  seedThemes,
+  listThemes,
+  getTheme,
+  createTheme,
+  updateTheme,
+  deleteTheme,
+  validateThemeInput,
+};
@@ -1,58 +1,217 @@
-// cardbuild.js - Handles custom card creation and theme management
+// cardbuild.js - Handles custom card creation and management. Cards are saved
+// to the server (/api/cards) so the host can assign them to players or merge
+// their songs into a theme.
 
 const gridSize = 5;
+const centre = Math.floor((gridSize * gridSize) / 2);
+const FREE_SPACE = 'FREE SPACE';
 const cardGrid = document.getElementById('card-grid');
 const cardForm = document.getElementById('card-form');
-const themeNameInput = document.getElementById('theme-name');
-const themeList = document.getElementById('theme-list');
+const cardNameInput = document.getElementById('card-name');
+const themeSelect = document.getElementById('card-theme');
+const songOptions = document.getElementById('song-options');
+const cardList = document.getElementById('card-list');
+const saveBtn = document.getElementById('save-card-btn');
+const cancelBtn = document.getElementById('cancel-edit-btn');
+const legacyBtn = document.getElementById('upload-legacy-btn');
+
+let cards = [];
+let editingId = null;
+
+async function api(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-Host-Pin': hostPin() },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (res.status === 401) forgetHostPin();
+  const data = res.status === 204 ? null : await res.json();
+  if (!res.ok) throw new Error((data && data.error) || `Request failed (${res.status})`);
+  return data;
+}
 
 // Generate 5x5 grid of inputs
-function createGrid() {
+function createGrid(cells) {
   cardGrid.innerHTML = '';
   for (let i = 0; i < gridSize * gridSize; i++) {
     const input = document.createElement('input');
     input.type = 'text';
-    input.maxLength = 32;
-    input.placeholder = i === 12 ? 'FREE' : `Cell ${i+1}`;
-    if (i === 12) {
+    input.maxLength = 100;
+    input.setAttribute('list', 'song-options');
+    input.placeholder = i === centre ? 'FREE' : `Cell ${i+1}`;
+    if (i === centre) {
       input.value = 'FREE';
       input.disabled = true;
+    } else if (cells) {
+      input.value = cells[i] || '';
     }
     cardGrid.appendChild(input);
   }
 }
 
-// Load custom themes from localStorage
-function loadThemes() {
-  const themes = JSON.parse(localStorage.getItem('customThemes') || '[]');
-  themeList.innerHTML = '';
-  themes.forEach(theme => {
+// Theme dropdown + song suggestions for the grid inputs
+async function loadThemes() {
+  const list = await fetch('/api/themes').then(res => res.json());
+  themeSelect.innerHTML = '<option value="">No theme</option>';
+  list.forEach(t => {
+    const opt = document.createElement('option');
+    opt.value = t.id;
+    opt.textContent = t.name;
+    themeSelect.appendChild(opt);
+  });
+}
+
+async function loadSongOptions(themeId) {
+  songOptions.innerHTML = '';
+  if (!themeId) return;
+  const theme = await fetch(`/api/themes/${encodeURIComponent(themeId)}`).then(res => res.json());
+  (theme.songs || []).forEach(song => {
+    const opt = document.createElement('option');
+    opt.value = song;
+    songOptions.appendChild(opt);
+  });
+}
+
+themeSelect.onchange = () => loadSongOptions(themeSelect.value);
+
+function themeName(id) {
+  const opt = Array.from(themeSelect.options).find(o => o.value === id);
+  return opt && id ? opt.textContent : '';
+}
+
+// Saved cards list with edit / reorder / merge / delete actions
+async function loadCards() {
+  cards = await fetch('/api/cards').then(res => res.json());
+  renderLegacyBtn();
+  cardList.innerHTML = '';
+  cards.forEach((card, idx) => {
     const li = document.createElement('li');
-    li.textContent = `${theme.name}: ${theme.card.join(', ')}`;
-    themeList.appendChild(li);
+    const label = document.createElement('span');
+    label.textContent = card.themeId ? `${card.name} (${themeName(card.themeId)})` : card.name;
+    label.title = card.cells.join(', ');
+    li.appendChild(label);
+
+    const actions = document.createElement('span');
+    actions.className = 'card-actions';
+    const addBtn = (text, title, onClick, disabled) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = text;
+      btn.title = title;
+      btn.disabled = !!disabled;
+      btn.onclick = () => onClick().catch(err => alert(err.message));
+      actions.appendChild(btn);
+    };
+    addBtn('✏️', 'Edit', async () => startEdit(card));
+    addBtn('↑', 'Move up', () => moveCard(idx, -1), idx === 0);
+    addBtn('↓', 'Move down', () => moveCard(idx, 1), idx === cards.length - 1);
+    addBtn('➕', 'Merge songs into theme', () => mergeCard(card));
+    addBtn('🗑️', 'Delete', () => deleteCard(card));
+    li.appendChild(actions);
+    cardList.appendChild(li);
   });
 }
 
-// Save new card to localStorage
-cardForm.onsubmit = function(e) {
+function startEdit(card) {
+  editingId = card.id;
+  cardNameInput.value = card.name;
+  themeSelect.value = card.themeId || '';
+  loadSongOptions(themeSelect.value);
+  createGrid(card.cells);
+  saveBtn.textContent = 'Update Card';
+  cancelBtn.style.display = 'inline-block';
+}
+
+function resetForm() {
+  editingId = null;
+  cardForm.reset();
+  createGrid();
+  saveBtn.textContent = 'Save Card';
+  cancelBtn.style.display = 'none';
+}
+
+async function moveCard(idx, delta) {
+  const ids = cards.map(c => c.id);
+  const [moved] = ids.splice(idx, 1);
+  ids.splice(idx + delta, 0, moved);
+  await api('POST', '/api/cards/reorder', { ids });
+  await loadCards();
+}
+
+async function mergeCard(card) {
+  const themeId = card.themeId || themeSelect.value;
+  if (!themeId) throw new Error('Link the card to a theme (or pick one above) first.');
+  const result = await api('POST', `/api/cards/${card.id}/merge`, { themeId });
+  alert(`Added ${result.added.length} new songs to ${result.theme.name}.`);
+}
+
+async function deleteCard(card) {
+  if (!confirm(`Delete "${card.name}"?`)) return;
+  await api('DELETE', `/api/cards/${card.id}`);
+  if (editingId === card.id) resetForm();
+  await loadCards();
+}
+
+// Save new card (or update the one being edited) on the server
+cardForm.onsubmit = async function(e) {
   e.preventDefault();
   const cells = Array.from(cardGrid.querySelectorAll('input')).map(input => input.value.trim());
-  if (cells.length !== 25 || cells.some((cell, i) => i !== 12 && !cell)) {
+  cells[centre] = FREE_SPACE;
+  if (cells.length !== 25 || cells.some((cell, i) => i !== centre && !cell)) {
     alert('Please fill in all cells except the FREE space.');
     return;
   }
-  const themeName = themeNameInput.value.trim();
-  if (!themeName) {
-    alert('Please enter a theme name.');
+  const name = cardNameInput.value.trim();
+  if (!name) {
+    alert('Please enter a card name.');
     return;
   }
-  const themes = JSON.parse(localStorage.getItem('customThemes') || '[]');
-  themes.push({ name: themeName, card: cells });
-  localStorage.setItem('customThemes', JSON.stringify(themes));
-  loadThemes();
-  cardForm.reset();
-  createGrid();
+  const body = { name, themeId: themeSelect.value || null, cells };
+  try {
+    if (editingId) await api('PUT', `/api/cards/${editingId}`, body);
+    else await api('POST', '/api/cards', body);
+    resetForm();
+    await loadCards();
+  } catch (err) {
+    alert(err.message);
+  }
+};
+
+cancelBtn.onclick = resetForm;
+
+// Cards saved by older versions of the builder live only in this browser;
+// offer to upload them once
+function legacyCards() {
+  try { return JSON.parse(localStorage.getItem('customThemes') || '[]'); } catch (e) { return []; }
+}
+
+// shown with the number of cards still waiting, whenever the list is redrawn
+function renderLegacyBtn() {
+  const count = legacyCards().length;
+  legacyBtn.style.display = count ? 'inline-block' : 'none';
+  legacyBtn.textContent = `Upload ${count} card(s) saved in this browser`;
+}
+
+legacyBtn.onclick = async () => {
+  const legacy = legacyCards();
+  const failed = [];
+  for (const old of legacy) {
+    const cells = (old.card || []).slice();
+    cells[centre] = FREE_SPACE;
+    try {
+      await api('POST', '/api/cards', { name: old.name, cells });
+    } catch (err) {
+      console.warn('Could not upload card', old.name, err.message);
+      failed.push(old);
+    }
+  }
+  // keep only the cards that did not make it, so a retry does not upload twice
+  if (failed.length) localStorage.setItem('customThemes', JSON.stringify(failed));
+  else localStorage.removeItem('customThemes');
+  alert(`Uploaded ${legacy.length - failed.length} of ${legacy.length} cards.`);
+  await loadCards();
 };
 
 createGrid();
-loadThemes();
+renderLegacyBtn();
+loadThemes().then(loadCards).catch(err => console.warn('Could not load cards:', err.message));
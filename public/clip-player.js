@@ -0,0 +1,44 @@
+// clip-player.js - Plays call clips ('play-clip' / 'preview-clip' payloads:
+// { url, start, snippetSec, fadeSec }) on an <audio> element. The clip starts
+// at its offset, plays for snippetSec and fades out over the last fadeSec.
+// Used by the big screen and the host's audition button.
+
+function createClipPlayer(audio) {
+  let timers = [];
+
+  function clearTimers() {
+    timers.forEach(id => { clearTimeout(id); clearInterval(id); });
+    timers = [];
+  }
+
+  function stop() {
+    clearTimers();
+    audio.pause();
+    audio.volume = 1;
+  }
+
+  function fadeOut(fadeSec) {
+    const steps = Math.max(1, Math.round(fadeSec * 20));
+    let step = 0;
+    timers.push(setInterval(() => {
+      step++;
+      audio.volume = Math.max(0, 1 - step / steps);
+    }, (fadeSec * 1000) / steps));
+  }
+
+  // resolves when playback starts; rejects if the browser blocks autoplay
+  function play(clip) {
+    stop();
+    audio.src = `${clip.url}#t=${clip.start || 0}`;
+    audio.volume = 1;
+    // time the snippet from when sound actually starts, not from the request
+    audio.addEventListener('playing', () => {
+      const fadeSec = Math.min(clip.fadeSec || 0, clip.snippetSec);
+      timers.push(setTimeout(() => fadeOut(fadeSec), (clip.snippetSec - fadeSec) * 1000));
+      timers.push(setTimeout(stop, clip.snippetSec * 1000));
+    }, { once: true });
+    return audio.play();
+  }
+
+  return { play, stop, isPlaying: () => !audio.paused };
+}
@@ -0,0 +1,136 @@
+// history.js - Finished and running games of every room, opened from the host
+// panel. Lists the archived games (GET /api/games), shows one game's calls,
+// claims, winners and players, and downloads the archive as JSON or CSV.
+
+const gameListEl = document.getElementById('game-list');
+const status = document.getElementById('history-status');
+const detail = document.getElementById('game-detail');
+let selectedGameId = null;
+
+async function hostFetch(url) {
+  const res = await fetch(url, { headers: { 'X-Host-Pin': hostPin() } });
+  if (res.status === 401) forgetHostPin();
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed (${res.status})`);
+  }
+  return res;
+}
+
+// the export routes answer with an attachment; fetch it with the PIN and
+// hand it to the browser as a file
+async function download(url) {
+  try {
+    const res = await hostFetch(url);
+    const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = match ? match[1] : 'cypha-bingo-export';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : '—';
+}
+
+function addRow(tbody, cells, className) {
+  const tr = document.createElement('tr');
+  if (className) tr.className = className;
+  cells.forEach(text => {
+    const td = document.createElement('td');
+    td.textContent = text === null || text === undefined ? '' : text;
+    tr.appendChild(td);
+  });
+  tbody.appendChild(tr);
+  return tr;
+}
+
+// cards are numbered from 1 for people; paper cards carry their serial
+function cardLabel(card, serial) {
+  if (card === null || card === undefined) return serial || '';
+  return serial ? `Card ${card + 1} (${serial})` : `Card ${card + 1}`;
+}
+
+function renderGame(game) {
+  detail.style.display = 'block';
+  document.getElementById('detail-title').textContent =
+    `${game.theme || '(no theme)'} · room ${game.room || '?'} · ${formatTime(game.startedAt)}`;
+  document.getElementById('detail-seed').textContent = game.seed ? `Seed: ${game.seed}` : `Seed hash: ${game.seedHash}`;
+
+  const winners = document.getElementById('detail-winners');
+  winners.innerHTML = '';
+  game.winners.forEach(w => addRow(winners, [w.stage + 1, w.pattern, w.prize, w.name, cardLabel(w.card), w.calls, formatTime(w.at)]));
+  if (!game.winners.length) addRow(winners, ['No winners'], 'muted');
+
+  const calls = document.getElementById('detail-calls');
+  calls.innerHTML = '';
+  game.callLog.forEach((c, i) => {
+    const note = c.retracted === 'void' ? `voided ${formatTime(c.retractedAt)}`
+      : c.retracted ? `undone ${formatTime(c.retractedAt)}` : '';
+    addRow(calls, [i + 1, c.song, formatTime(c.at), note], c.retracted ? 'retracted' : '');
+  });
+  if (!game.callLog.length) addRow(calls, [game.endedAt ? 'No calls' : 'Calls are archived when the game ends'], 'muted');
+
+  const claims = document.getElementById('detail-claims');
+  claims.innerHTML = '';
+  game.claims.forEach(c => {
+    const result = `${c.status}${c.valid ? '' : ' (no match)'}`;
+    addRow(claims, [c.name, c.stage + 1, c.pattern, cardLabel(c.card, c.serial), c.calls, result, formatTime(c.at)]);
+  });
+  if (!game.claims.length) addRow(claims, ['No claims'], 'muted');
+
+  const players = document.getElementById('detail-players');
+  players.innerHTML = '';
+  Object.entries(game.players).forEach(([name, serials]) => addRow(players, [name, serials.join(', ')]));
+  if (!Object.keys(game.players).length) addRow(players, ['No players'], 'muted');
+}
+
+async function showGame(gameId) {
+  selectedGameId = gameId;
+  gameListEl.querySelectorAll('tr').forEach(tr => tr.classList.toggle('selected', tr.dataset.gameId === gameId));
+  try {
+    const res = await hostFetch(`/api/games/${encodeURIComponent(gameId)}`);
+    renderGame(await res.json());
+  } catch (err) {
+    alert(err.message);
+  }
+}
+
+async function loadGames() {
+  const res = await hostFetch('/api/games');
+  const games = await res.json();
+  gameListEl.innerHTML = '';
+  games.forEach(g => {
+    const tr = addRow(gameListEl, [
+      g.room,
+      g.theme,
+      formatTime(g.startedAt),
+      g.endedAt ? formatTime(g.endedAt) : '▶️ playing',
+      g.calls,
+      g.players,
+      g.winners.join(', '),
+    ]);
+    tr.dataset.gameId = g.gameId;
+    tr.addEventListener('click', () => showGame(g.gameId));
+  });
+  status.textContent = games.length ? `${games.length} game(s), newest first` : 'No games yet';
+}
+
+document.getElementById('export-json-btn').addEventListener('click', () => download('/api/games/export?format=json'));
+document.getElementById('export-csv-btn').addEventListener('click', () => download('/api/games/export?format=csv'));
+document.getElementById('game-json-btn').addEventListener('click', () => {
+  if (selectedGameId) download(`/api/games/${encodeURIComponent(selectedGameId)}/export?format=json`);
+});
+document.getElementById('game-csv-btn').addEventListener('click', () => {
+  if (selectedGameId) download(`/api/games/${encodeURIComponent(selectedGameId)}/export?format=csv`);
+});
+
+loadGames().catch(err => {
+  status.textContent = `⚠️ ${err.message}`;
+});
@@ -0,0 +1,21 @@
+// host-pin.js - The host PIN for the pages that call host-only routes (card
+// builder, paper cards, game history). They open in new tabs, which cannot
+// count on the host panel's sessionStorage (its links use rel="noopener"), so
+// each tab asks for the PIN once and keeps it in its own sessionStorage. A PIN
+// the server turned down (401) is forgotten so the next request asks again.
+
+function hostPin() {
+  let pin = null;
+  try { pin = sessionStorage.getItem('cyphaHostPin'); } catch (e) {}
+  if (!pin) {
+    pin = prompt('Host PIN');
+    if (pin) {
+      try { sessionStorage.setItem('cyphaHostPin', pin); } catch (e) {}
+    }
+  }
+  return pin || '';
+}
+
+function forgetHostPin() {
+  try { sessionStorage.removeItem('cyphaHostPin'); } catch (e) {}
+}
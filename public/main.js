@@ -1,17 +1,26 @@
-let socket = io();
-
 let currentPlayerName = "";
-let usingTwoCards = true;
 let resumeSession = false;
 let savedName = null;
+let savedRoom = null;
+// signed token from the server's 'session' event: resuming needs it
+let sessionToken = null;
 
 try {
   resumeSession = sessionStorage.getItem("cyphaResume") === "true";
   savedName = localStorage.getItem("playerName");
+  savedRoom = localStorage.getItem("cyphaRoom");
+  sessionToken = localStorage.getItem("cyphaToken");
 } catch (err) {
   console.warn("⚠️ Could not read saved session or player:", err.message);
 }
 
+// A ?room=CODE link (e.g. from the big screen QR) wins over the stored room
+const urlRoom = new URLSearchParams(window.location.search).get("room");
+let currentRoom = (urlRoom || savedRoom || "").trim().toUpperCase();
+
+// Name the room in the handshake so the server scopes us to it from the start
+let socket = io({ query: { room: currentRoom } });
+
 window.addEventListener("DOMContentLoaded", () => {
   console.log("📱 DOM loaded on:", window.location.href);
 
@@ -19,17 +28,20 @@ window.addEventListener("DOMContentLoaded", () => {
   const nameInput = document.getElementById("player-name");
   const welcomeScreen = document.getElementById("welcome-screen");
   const gameUI = document.getElementById("game-ui");
-  const card1 = document.getElementById("bingo-card-1");
-  const card2 = document.getElementById("bingo-card-2");
-  const toggleBtn = document.getElementById("card-toggle");
+  const cardsWrapper = document.getElementById("bingo-cards");
+  const cardDots = document.getElementById("card-dots");
   const newGameBtn = document.getElementById("new-game-btn");
   const bingoBtn = document.getElementById("call-bingo-btn");
+  const roomInput = document.getElementById("room-code");
+  const recoveryInput = document.getElementById("recovery-code");
 
-  if (savedName) {
+  if (roomInput && currentRoom) roomInput.value = currentRoom;
+
+  if (savedName && sessionToken) {
     if (resumeSession) {
       console.log("🔁 Resuming session for player:", savedName);
       currentPlayerName = savedName;
-      socket.emit("join-game", savedName);
+      socket.emit("join-game", { token: sessionToken, room: currentRoom });
       // wait for server join-accepted before showing UI
     } else {
       const modal = document.getElementById("resume-modal");
@@ -44,17 +56,14 @@ window.addEventListener("DOMContentLoaded", () => {
       yesBtn.onclick = () => {
         sessionStorage.setItem("cyphaResume", "true");
         currentPlayerName = savedName;
-        socket.emit("join-game", savedName);
+        socket.emit("join-game", { token: sessionToken, room: currentRoom });
   // wait for server join-accepted before showing UI
         modal.style.display = "none";
         document.body.classList.remove("modal-open");
       };
 
       noBtn.onclick = () => {
-        try {
-          localStorage.removeItem("playerName");
-          sessionStorage.removeItem("cyphaResume");
-        } catch (err) {}
+        forgetSession();
         modal.style.display = "none";
         document.body.classList.remove("modal-open");
       };
@@ -64,6 +73,18 @@ window.addEventListener("DOMContentLoaded", () => {
   if (enterBtn && nameInput) {
     enterBtn.addEventListener("click", () => {
       const name = nameInput.value.trim();
+      const recoveryCode = recoveryInput ? recoveryInput.value.trim() : "";
+      if (roomInput) currentRoom = roomInput.value.trim().toUpperCase();
+      // after a kick the server closed our connection
+      if (!socket.connected) socket.connect();
+
+      // moving from another device: the code brings the name and cards along
+      if (recoveryCode) {
+        socket.emit("join-game", { recoveryCode, room: currentRoom });
+        console.log("⏳ Sent recovery code");
+        return;
+      }
+
       if (!name) {
         alert("Please enter your name.");
         return;
@@ -77,20 +98,14 @@ window.addEventListener("DOMContentLoaded", () => {
         console.warn("⚠️ Could not store player name:", err.message);
       }
 
-  socket.emit("join-game", name);
+  // a phone banned from the room still has its token: send it along so the
+  // ban holds under a new name
+  socket.emit("join-game", { name, room: currentRoom, previousToken: sessionToken || undefined });
   // wait for 'join-accepted' event before showing the UI
   console.log("⏳ Sent join request as:", name);
     });
   }
 
-  if (toggleBtn && card2) {
-    toggleBtn.addEventListener("click", () => {
-      usingTwoCards = !usingTwoCards;
-      card2.style.display = usingTwoCards ? "grid" : "none";
-      toggleBtn.textContent = usingTwoCards ? "1 Card / 2 Cards" : "2 Cards / 1 Card";
-    });
-  }
-
   if (bingoBtn) {
     bingoBtn.addEventListener("click", () => {
       if (!currentPlayerName) {
@@ -121,13 +136,7 @@ window.addEventListener("DOMContentLoaded", () => {
 
   if (newGameBtn) {
     newGameBtn.addEventListener("click", () => {
-      try {
-        localStorage.removeItem("playerName");
-        sessionStorage.removeItem("cyphaResume");
-      } catch (err) {
-        console.warn("⚠️ Could not clear session storage:", err.message);
-      }
-
+      forgetSession();
       currentPlayerName = "";
 
       if (socket && socket.connected) {
@@ -138,7 +147,14 @@ window.addEventListener("DOMContentLoaded", () => {
     });
   }
 
-  function buildTile(name, idx) {
+  // the centre tile (odd-sized cards only) is the free square when it carries
+  // the game's free label (cards from the card builder always use "FREE SPACE")
+  function isFreeTile(name, idx, freeLabel, cellCount) {
+    const centre = cellCount % 2 === 1 && idx === Math.floor(cellCount / 2);
+    return centre && (name === "FREE SPACE" || (!!freeLabel && name === freeLabel));
+  }
+
+  function buildTile(name, idx, freeLabel, cellCount) {
     const tile = document.createElement("div");
     tile.className = "bingo-tile";
     if (typeof idx !== 'undefined') tile.dataset.index = String(idx);
@@ -151,15 +167,18 @@ window.addEventListener("DOMContentLoaded", () => {
   tile.textContent = songOnly;
   tile.title = full;
 
-    if (name === "FREE SPACE") {
+    if (isFreeTile(name, idx, freeLabel, cellCount)) {
       tile.classList.add("free", "selected");
     }
 
     tile.addEventListener("click", () => {
+      // with auto-daub on the calls mark the tiles
+      if (daubMode === "auto") return;
       if (!tile.classList.contains("free")) {
         tile.classList.toggle("selected");
         // save selection state for this card
         try { saveSelectionsForContainer(tile.closest('.bingo-card')); } catch (e) {}
+        refreshDaubs();
       }
     });
 
@@ -171,6 +190,80 @@ window.addEventListener("DOMContentLoaded", () => {
     tiles.forEach(tile => container.appendChild(tile));
   }
 
+  // Mini preview (the size of the game's cards) of the winning pattern under
+  // the pattern name. Patterns with several shapes (e.g. Any Line) cycle
+  // through them.
+  let patternPreviewTimer = null;
+  function showPatternPreview(patternBar, masks, size) {
+    let preview = document.getElementById("pattern-preview");
+    if (!preview) {
+      preview = document.createElement("div");
+      preview.id = "pattern-preview";
+      patternBar.insertAdjacentElement("afterend", preview);
+    }
+    if (patternPreviewTimer) clearInterval(patternPreviewTimer);
+    preview.innerHTML = "";
+    preview.style.gridTemplateColumns = `repeat(${size}, 12px)`;
+    const cells = [];
+    for (let i = 0; i < size * size; i++) {
+      const cell = document.createElement("div");
+      cell.className = "pattern-preview-cell";
+      preview.appendChild(cell);
+      cells.push(cell);
+    }
+    let shown = 0;
+    const draw = () => {
+      const mask = new Set(masks[shown % masks.length]);
+      cells.forEach((cell, i) => cell.classList.toggle("on", mask.has(i)));
+      shown++;
+    };
+    draw();
+    if (masks.length > 1) patternPreviewTimer = setInterval(draw, 1200);
+  }
+
+  // Auto-daub (the host's choice per game): every called song is marked on the
+  // cards, the latest call stands out, and a card one tile short of the
+  // current pattern says so. In manual mode tiles marked without a matching
+  // call are flagged instead.
+  let daubMode = "manual";
+  let calledSongs = new Set();
+  let latestCall = null;
+  let patternMasks = [];
+
+  function refreshDaubs() {
+    if (!cardsWrapper) return;
+    Array.from(cardsWrapper.querySelectorAll(".bingo-card")).forEach(card => {
+      const tiles = Array.from(card.querySelectorAll(".bingo-tile"));
+      tiles.forEach(tile => {
+        const called = calledSongs.has(tile.title);
+        const free = tile.classList.contains("free");
+        if (daubMode === "auto") {
+          if (called) tile.classList.add("selected", "daubed");
+          // a call the host took back
+          else if (tile.classList.contains("daubed")) tile.classList.remove("selected", "daubed");
+        }
+        tile.classList.toggle("latest", daubMode === "auto" && called && tile.title === latestCall);
+        tile.classList.toggle("unmatched", daubMode === "manual" && !free && !called && tile.classList.contains("selected"));
+        tile.classList.remove("needed");
+      });
+
+      card.classList.remove("one-away", "has-bingo");
+      if (daubMode !== "auto") return;
+      const marked = i => tiles[i] && (tiles[i].classList.contains("free") || calledSongs.has(tiles[i].title));
+      let fewest = null;
+      patternMasks.forEach(mask => {
+        const missing = mask.filter(i => !marked(i));
+        if (!fewest || missing.length < fewest.length) fewest = missing;
+      });
+      if (!fewest) return;
+      if (fewest.length === 0) card.classList.add("has-bingo");
+      if (fewest.length === 1) {
+        card.classList.add("one-away");
+        tiles[fewest[0]].classList.add("needed");
+      }
+    });
+  }
+
   // Helpers: persist selections per-player + per-card signature
   function cardSignatureFromArray(arr) {
     // conservative signature: join tile texts with | so order matters
@@ -226,17 +319,62 @@ window.addEventListener("DOMContentLoaded", () => {
     } catch (e) { console.warn('⚠️ Could not clear selections', e.message); }
   }
 
+  // On a phone the cards sit side by side in a strip you swipe through; the
+  // dots under it show which card is in view
+  function renderCardDots(count) {
+    if (!cardDots) return;
+    cardDots.innerHTML = "";
+    if (count < 2) return;
+    for (let i = 0; i < count; i++) {
+      const dot = document.createElement("button");
+      dot.type = "button";
+      dot.className = "card-dot" + (i === 0 ? " active" : "");
+      dot.setAttribute("aria-label", `Card ${i + 1}`);
+      dot.addEventListener("click", () => {
+        const card = cardsWrapper.children[i];
+        if (card) cardsWrapper.scrollTo({ left: card.offsetLeft - cardsWrapper.offsetLeft, behavior: "smooth" });
+      });
+      cardDots.appendChild(dot);
+    }
+  }
+
+  if (cardsWrapper) {
+    cardsWrapper.addEventListener("scroll", () => {
+      const width = cardsWrapper.clientWidth || 1;
+      const shown = Math.round(cardsWrapper.scrollLeft / width);
+      Array.from(cardDots ? cardDots.children : []).forEach((dot, i) => dot.classList.toggle("active", i === shown));
+    }, { passive: true });
+  }
+
   socket.on("generateCard", data => {
     console.log("🎲 Received card data:", data);
-    // build tiles with indices so we can persist by position
-    const tiles1 = data.card1.map((name, idx) => buildTile(name, idx));
-    const tiles2 = data.card2.map((name, idx) => buildTile(name, idx));
-    renderCard(card1, tiles1);
-    renderCard(card2, tiles2);
-    card2.style.display = usingTwoCards ? "grid" : "none";
-    // restore previous selections if any (based on card contents signature)
-    try { restoreSelectionsForContainer(card1, data.card1); } catch (e) {}
-    try { restoreSelectionsForContainer(card2, data.card2); } catch (e) {}
+    // older servers only send card1/card2 (two 5x5 cards)
+    const cards = Array.isArray(data.cards) ? data.cards : [data.card1, data.card2].filter(Array.isArray);
+    const size = data.cols || 5;
+    cardsWrapper.innerHTML = "";
+    cards.forEach((cells, cardIndex) => {
+      const container = document.createElement("div");
+      container.className = "bingo-card";
+      container.dataset.size = String(size);
+      container.style.gridTemplateColumns = `repeat(${size}, 1fr)`;
+      container.style.gridTemplateRows = `repeat(${data.rows || size}, 1fr)`;
+      container.setAttribute("aria-label", `Card ${cardIndex + 1}`);
+      // build tiles with indices so we can persist by position
+      renderCard(container, cells.map((name, idx) => buildTile(name, idx, data.freeLabel, cells.length)));
+      cardsWrapper.appendChild(container);
+      // restore previous selections if any (based on card contents signature)
+      try { restoreSelectionsForContainer(container, cells); } catch (e) {}
+    });
+    cardsWrapper.scrollLeft = 0;
+    renderCardDots(cards.length);
+    refreshDaubs();
+    // serials let the host look a card up if there is ever a dispute
+    const serialsEl = document.getElementById("card-serials");
+    if (serialsEl) {
+      const list = Array.isArray(data.serials) ? data.serials : data.serials ? [data.serials.card1, data.serials.card2] : [];
+      const serials = list.filter(Boolean);
+      serialsEl.textContent = serials.length ? `Card #: ${serials.join(" · ")}` : "";
+    }
   });
 
   // Clear selections when host resets / starts a new game
@@ -244,11 +382,66 @@ window.addEventListener("DOMContentLoaded", () => {
   socket.on('new-game', () => { clearSelectionsForPlayer(); });
   socket.on('start-game', () => { clearSelectionsForPlayer(); });
 
+  // the stored name and token; the next visit starts from the welcome screen.
+  // keepToken holds on to the token of a banned player.
+  function forgetSession(keepToken = false) {
+    if (!keepToken) sessionToken = null;
+    try {
+      localStorage.removeItem("playerName");
+      if (!keepToken) localStorage.removeItem("cyphaToken");
+      sessionStorage.removeItem("cyphaResume");
+    } catch (err) {
+      console.warn("⚠️ Could not clear session storage:", err.message);
+    }
+  }
+
+  // the server's signed token for resuming, and the recovery code that moves
+  // this player to another device
+  socket.on('session', session => {
+    if (!session || !session.token) return;
+    sessionToken = session.token;
+    try {
+      localStorage.setItem('cyphaToken', session.token);
+      sessionStorage.setItem('cyphaResume', 'true');
+    } catch (err) {
+      console.warn('⚠️ Could not store session:', err.message);
+    }
+    const codeEl = document.getElementById('recovery-display');
+    if (codeEl) codeEl.textContent = `Recovery code: ${session.recoveryCode}`;
+  });
+
+  // the token no longer works (expired, or the player moved to another
+  // device): back to the welcome screen
+  function endSession(reason, keepToken = false) {
+    forgetSession(keepToken);
+    currentPlayerName = "";
+    const welcomeScreen = document.getElementById('welcome-screen');
+    const gameUI = document.getElementById('game-ui');
+    if (gameUI) gameUI.style.display = 'none';
+    if (welcomeScreen) welcomeScreen.style.display = 'block';
+    alert(reason);
+  }
+  socket.on('session-invalid', reason => endSession(reason || 'Your session has expired. Join again with your name.'));
+  // the host kicked or banned us; the server has disconnected this socket
+  socket.on('kicked', (reason, details) =>
+    endSession(reason || 'The host removed you from the game.', !!(details && details.banned)));
+
+  // the host changed our name; cards and session carry over
+  socket.on('renamed', ({ name, reason }) => {
+    currentPlayerName = name;
+    try { localStorage.setItem('playerName', name); } catch (err) {}
+    const pd = document.getElementById('player-display');
+    if (pd) pd.textContent = `Player: ${name}`;
+    alert(`${reason || 'Your name was changed'}: you are now ${name}`);
+  });
+  socket.on('session-ended', reason => endSession(reason || 'You continued on another device.'));
+
   socket.on('join-accepted', (name) => {
     console.log('✅ Join accepted for', name);
     currentPlayerName = name;
     try {
       localStorage.setItem('playerName', name);
+      if (currentRoom) localStorage.setItem('cyphaRoom', currentRoom);
     } catch (err) {}
     const welcomeScreen = document.getElementById('welcome-screen');
     const gameUI = document.getElementById('game-ui');
@@ -258,7 +451,7 @@ window.addEventListener("DOMContentLoaded", () => {
   const pd = document.getElementById('player-display');
   if (pd) pd.textContent = `Player: ${currentPlayerName}`;
   // Ask server for cards for the current game if one is active
-  socket.emit('request-cards', currentPlayerName);
+  if (sessionToken) socket.emit('request-cards', { token: sessionToken });
   });
 
   socket.on('join-failed', (reason) => {
@@ -272,12 +465,31 @@ window.addEventListener("DOMContentLoaded", () => {
     console.log("📡 Event:", event, args);
   });
 
+  // server tells us which room this socket ended up in
+  socket.on('room-joined', ({ code }) => {
+    currentRoom = code;
+    const roomEl = document.getElementById('room-display');
+    if (roomEl) roomEl.textContent = `Room: ${code}`;
+  });
+
+  socket.on('room-error', (msg) => {
+    console.warn('⚠️ Room error:', msg);
+    try { localStorage.removeItem('cyphaRoom'); } catch (err) {}
+  });
+
   socket.on('game-info', info => {
     const themeEl = document.getElementById('theme-name');
     if (themeEl) themeEl.textContent = info.theme || 'No theme';
+    const mode = info.daubMode === 'auto' ? 'auto' : 'manual';
+    if (mode !== daubMode) {
+      // switching back to manual leaves the auto marks for the player to keep
+      document.querySelectorAll('.bingo-tile.daubed').forEach(t => t.classList.remove('daubed'));
+      daubMode = mode;
+      refreshDaubs();
+    }
     // If connected and we have a name, proactively request cards when a game is active
-    if (socket.connected && (currentPlayerName || savedName) && info?.gameId && info?.theme) {
-      socket.emit('request-cards', currentPlayerName || savedName);
+    if (socket.connected && sessionToken && currentPlayerName && info?.gameId && info?.theme) {
+      socket.emit('request-cards', { token: sessionToken });
     }
   });
 
@@ -295,6 +507,62 @@ window.addEventListener("DOMContentLoaded", () => {
     if (nowEl) nowEl.textContent = `Now Playing: ${songTitle || '—'}`;
   });
 
+  // every call so far (on joining, a new game or a correction), then each
+  // new call as it happens
+  socket.on('call-update', calls => {
+    calledSongs = new Set(Array.isArray(calls) ? calls : []);
+    latestCall = Array.isArray(calls) && calls.length ? calls[calls.length - 1] : null;
+    refreshDaubs();
+  });
+
+  socket.on('new-call', song => {
+    calledSongs.add(song);
+    latestCall = song;
+    refreshDaubs();
+  });
+
+  // host took back the last call: now playing falls back to the call before it
+  socket.on('call-correction', ({ calledHistory }) => {
+    const nowEl = document.getElementById('now-playing');
+    const last = calledHistory && calledHistory[calledHistory.length - 1];
+    if (nowEl) nowEl.textContent = `Now Playing: ${last || '—'}`;
+  });
+
+  // the host confirmed or rejected a bingo claim; only ours gets a message
+  socket.on('claim-result', result => {
+    if (!result || result.name !== currentPlayerName) return;
+    const waitMsg = document.getElementById("bingo-wait-msg");
+    if (waitMsg) waitMsg.style.display = "none";
+    const modal = document.getElementById("claim-result-modal");
+    const title = document.getElementById("claim-result-title");
+    const msg = document.getElementById("claim-result-message");
+    const ok = document.getElementById("claim-result-ok");
+    if (result.status === "accepted") {
+      title.textContent = "🏆 You won!";
+      const prize = result.prize ? `Prize: ${result.prize}` : "Your BINGO has been confirmed.";
+      msg.textContent = result.shared ? `${prize} (split pot: another player won on the same call)` : prize;
+      if (typeof confetti === "function") confetti({ particleCount: 200, spread: 100, origin: { y: 0.6 } });
+    } else {
+      title.textContent = "❌ Claim not accepted";
+      msg.textContent = result.reason || "The host could not confirm your BINGO. Keep playing!";
+    }
+    if (modal) modal.style.display = "flex";
+    if (ok) ok.onclick = () => { modal.style.display = "none"; };
+  });
+
+  // the claim was not queued: one is already being checked, or too many
+  // false claims put us on a cooldown
+  socket.on('claim-blocked', blocked => {
+    const waitMsg = document.getElementById("bingo-wait-msg");
+    if (waitMsg && !(blocked && blocked.retryInSec === 0)) waitMsg.style.display = "none";
+    const modal = document.getElementById("claim-result-modal");
+    document.getElementById("claim-result-title").textContent = "⏳ Hold on";
+    document.getElementById("claim-result-message").textContent = (blocked && blocked.reason) || "You cannot claim right now.";
+    const ok = document.getElementById("claim-result-ok");
+    if (modal) modal.style.display = "flex";
+    if (ok) ok.onclick = () => { modal.style.display = "none"; };
+  });
+
   socket.on('name-disambiguated', (newName) => {
     alert(`Name in use — you've been assigned: ${newName}`);
     currentPlayerName = newName;
@@ -311,14 +579,12 @@ window.addEventListener("DOMContentLoaded", () => {
 
   socket.on("connect", () => {
     console.log("✅ Connected to server via socket.io:", socket.id);
-    // If we already had a player name (stored), re-assert it so the server
-    // treats this socket as the active session for that player. Use the
-    // resume flag so the server will replace any previous mapping.
-    if (currentPlayerName) {
+    // If we already joined, resume with the session token so the server
+    // treats this socket as the active session for that player (replacing
+    // any previous mapping). It sends the cards again with the join.
+    if (currentPlayerName && sessionToken) {
       console.log('🔁 Re-joining as', currentPlayerName);
-      socket.emit('join-game', { name: currentPlayerName, resume: true });
-      // Also request cards if a game is active (server will no-op if none)
-      socket.emit('request-cards', currentPlayerName);
+      socket.emit('join-game', { token: sessionToken, room: currentRoom });
     }
   });
 
@@ -328,14 +594,34 @@ window.addEventListener("DOMContentLoaded", () => {
 
   socket.on("bingo-pattern", pattern => {
   console.log("🎯 Bingo Pattern Set:", pattern);
+  if (!pattern || !Array.isArray(pattern.masks)) return;
 
   // Optional: Store in session or show somewhere in UI
-  sessionStorage.setItem("cyphaPattern", pattern);
+  sessionStorage.setItem("cyphaPattern", pattern.id);
 
   // Optional: display to user
   const patternBar = document.getElementById("pattern-bar");
   if (patternBar) {
-      patternBar.textContent = `Current Pattern: ${pattern.toUpperCase()}`;
+      patternBar.textContent = `Current Pattern: ${pattern.name.toUpperCase()}`;
+      showPatternPreview(patternBar, pattern.masks, pattern.size || 5);
+    }
+    patternMasks = pattern.masks;
+    refreshDaubs();
+  });
+
+  // multi-stage games: show which stage is being played and its prize
+  socket.on("stage-update", info => {
+    const stageBar = document.getElementById("stage-bar");
+    if (!stageBar) return;
+    if (!info || !info.gameId) {
+      stageBar.textContent = "";
+      return;
     }
+    const stage = info.stages[info.index];
+    const last = info.winners[info.winners.length - 1];
+    const wonBy = last ? ` · Last winner: ${last.name}` : "";
+    stageBar.textContent = info.finished
+      ? `🏁 All stages won${wonBy}`
+      : `Stage ${info.index + 1}/${info.total}${stage.prize ? ` · Prize: ${stage.prize}` : ""}${wonBy}`;
   });
 });
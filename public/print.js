@@ -0,0 +1,73 @@
+// print.js - Printable paper cards for the room's current game. Opened from
+// the host panel as print.html?room=CODE&count=N; the server deals the cards
+// with fresh serials so a guest's paper card can be checked from the claim
+// queue by typing in its serial.
+
+const params = new URLSearchParams(location.search);
+const sheet = document.getElementById('sheet');
+const printBtn = document.getElementById('print-btn');
+const status = document.getElementById('print-status');
+
+// cells keep the card the same size whatever the game's grid
+function renderCard(card, theme, freeLabel, size) {
+  const box = document.createElement('section');
+  box.className = 'paper-card';
+
+  const header = document.createElement('header');
+  const title = document.createElement('h2');
+  title.textContent = 'Cypha Bingo';
+  const serial = document.createElement('span');
+  serial.className = 'paper-serial';
+  serial.textContent = card.serial;
+  header.append(title, serial);
+
+  const themeName = document.createElement('div');
+  themeName.className = 'paper-theme';
+  themeName.textContent = theme;
+
+  const grid = document.createElement('div');
+  grid.className = 'paper-grid';
+  grid.style.gridTemplateColumns = `repeat(${size}, 1fr)`;
+  card.cells.forEach(song => {
+    const cell = document.createElement('div');
+    cell.className = 'paper-cell';
+    cell.style.height = `${Math.round(95 / size)}mm`;
+    if (freeLabel && song === freeLabel) {
+      cell.classList.add('free');
+      cell.textContent = song === 'FREE SPACE' ? 'FREE' : song;
+    } else {
+      cell.textContent = song;
+    }
+    grid.appendChild(cell);
+  });
+
+  box.append(header, grid, themeName);
+  return box;
+}
+
+async function dealPaperCards() {
+  const res = await fetch('/api/print/cards', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Host-Pin': hostPin() },
+    body: JSON.stringify({ room: params.get('room') || 'MAIN', count: Number(params.get('count') || 1) })
+  });
+  if (res.status === 401) forgetHostPin();
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || `Request failed (${res.status})`);
+  return data;
+}
+
+dealPaperCards()
+  .then(data => {
+    document.title = `Paper Cards ${data.room} - Cypha Bingo`;
+    data.cards.forEach(card => sheet.appendChild(renderCard(card, data.theme, data.freeLabel, data.gridSize || 5)));
+    const first = data.cards[0].serial;
+    const last = data.cards[data.cards.length - 1].serial;
+    status.textContent = `${data.cards.length} card(s) for ${data.theme} in room ${data.room}: ${first} to ${last}`;
+    printBtn.disabled = false;
+  })
+  .catch(err => {
+    status.textContent = `⚠️ ${err.message}`;
+  });
+
+printBtn.addEventListener('click', () => window.print());
@@ -0,0 +1,72 @@
+// routes/cards.js
+// REST API for custom fixed-layout cards built in cardbuild.html. Reads are
+// public; writes require the host PIN in the X-Host-Pin header.
+const express = require('express');
+const cards = require('../lib/custom-cards');
+const themes = require('../lib/themes');
+
+module.exports = function cardRoutes({ db, saveDb, requireHost }) {
+  const router = express.Router();
+
+  // GET /api/cards -> cards in display order
+  router.get('/', (_req, res) => {
+    res.json(cards.cardList(db));
+  });
+
+  // GET /api/cards/:id
+  router.get('/:id', (req, res) => {
+    const card = cards.getCard(db, req.params.id);
+    if (!card) return res.status(404).json({ error: 'Card not found' });
+    res.json(card);
+  });
+
+  // POST /api/cards { name, themeId?, cells }
+  router.post('/', requireHost, async (req, res) => {
+    const { card, error } = cards.createCard(db, req.body);
+    if (error) return res.status(400).json({ error });
+    await saveDb();
+    console.log(`🃏 Custom card created: ${card.name}`);
+    res.status(201).json(card);
+  });
+
+  // POST /api/cards/reorder { ids: [...] }
+  router.post('/reorder', requireHost, async (req, res) => {
+    const { cards: ordered, error } = cards.reorderCards(db, req.body && req.body.ids);
+    if (error) return res.status(400).json({ error });
+    await saveDb();
+    res.json(ordered);
+  });
+
+  // POST /api/cards/:id/merge { themeId } -> add the card's songs to a theme
+  router.post('/:id/merge', requireHost, async (req, res) => {
+    const card = cards.getCard(db, req.params.id);
+    if (!card) return res.status(404).json({ error: 'Card not found' });
+    const themeId = (req.body && req.body.themeId) || card.themeId;
+    const theme = themeId ? themes.getTheme(db, themeId) : null;
+    if (!theme) return res.status(404).json({ error: 'Theme not found' });
+
+    const existing = new Set(theme.songs.map((song) => song.toLowerCase()));
+    const added = cards.cardSongs(card).filter((song) => !existing.has(song.toLowerCase()));
+    themes.updateTheme(db, theme.id, { songs: theme.songs.concat(added) });
+    await saveDb();
+    console.log(`🃏 Merged ${added.length} songs from card ${card.name} into ${theme.id}`);
+    res.json({ theme: { id: theme.id, name: theme.name, songCount: theme.songs.length }, added });
+  });
+
+  // PUT /api/cards/:id { name?, themeId?, cells? }
+  router.put('/:id', requireHost, async (req, res) => {
+    const { card, error, status } = cards.updateCard(db, req.params.id, req.body);
+    if (error) return res.status(status || 400).json({ error });
+    await saveDb();
+    res.json(card);
+  });
+
+  // DELETE /api/cards/:id
+  router.delete('/:id', requireHost, async (req, res) => {
+    if (!cards.deleteCard(db, req.params.id)) return res.status(404).json({ error: 'Card not found' });
+    await saveDb();
+    res.status(204).end();
+  });
+
+  return router;
+};
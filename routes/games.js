@@ -0,0 +1,74 @@
+// routes/games.js
+// Audit and history of past games (lib/games.js): list them, look one up,
+// download them as JSON or CSV, and replay a finished game from its seed to
+// settle a dispute. Requires the host PIN.
+const express = require('express');
+const games = require('../lib/games');
+
+module.exports = function gameRoutes({ db, requireHost }) {
+  const router = express.Router();
+
+  // GET /api/games -> [{ gameId, room, theme, seedHash, seed, startedAt, endedAt,
+  //   calls, players, winners }], newest first
+  router.get('/', requireHost, (_req, res) => {
+    res.json(games.gameList(db).map(games.gameSummary).reverse());
+  });
+
+  function sendDownload(res, filename, format, body) {
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    if (format === 'csv') res.type('text/csv').send(body);
+    else res.type('application/json').send(JSON.stringify(body, null, 2));
+  }
+
+  function exportFormat(req, res) {
+    const format = req.query.format || 'json';
+    if (format === 'json' || format === 'csv') return format;
+    res.status(400).json({ error: 'format must be json or csv' });
+    return null;
+  }
+
+  // GET /api/games/export?format=json|csv -> every game's history (json) or
+  //   the winners log of every game (csv), as a download
+  router.get('/export', requireHost, (req, res) => {
+    const format = exportFormat(req, res);
+    if (!format) return;
+    const records = games.gameList(db);
+    const body = format === 'csv' ? games.winnersCsv(records) : records.map(games.gameHistory);
+    sendDownload(res, format === 'csv' ? 'cypha-bingo-winners' : 'cypha-bingo-games', format, body);
+  });
+
+  // GET /api/games/:gameId -> the game's history: calls with their times,
+  //   players, claims and winners
+  router.get('/:gameId', requireHost, (req, res) => {
+    const record = games.getGame(db, req.params.gameId);
+    if (!record) return res.status(404).json({ error: 'Game not found' });
+    res.json(games.gameHistory(record));
+  });
+
+  // GET /api/games/:gameId/export?format=json|csv -> the game's history (json)
+  //   or its calls in order (csv), as a download
+  router.get('/:gameId/export', requireHost, (req, res) => {
+    const record = games.getGame(db, req.params.gameId);
+    if (!record) return res.status(404).json({ error: 'Game not found' });
+    const format = exportFormat(req, res);
+    if (!format) return;
+    const body = format === 'csv' ? games.callsCsv(record) : games.gameHistory(record);
+    sendDownload(res, `cypha-bingo-${record.gameId}`, format, body);
+  });
+
+  // GET /api/games/:gameId/replay?player=NAME&serial=3FA9-0042
+  //   -> the seed's call order, the calls made, and the rebuilt cards
+  router.get('/:gameId/replay', requireHost, (req, res) => {
+    const record = games.getGame(db, req.params.gameId);
+    if (!record) return res.status(404).json({ error: 'Game not found' });
+    const { player, serial } = req.query;
+    const { value, error } = games.replayGame(record, {
+      player: typeof player === 'string' ? player : '',
+      serial: typeof serial === 'string' ? serial : '',
+    });
+    if (error) return res.status(record.endedAt ? 400 : 403).json({ error });
+    res.json(value);
+  });
+
+  return router;
+};
@@ -0,0 +1,30 @@
+// routes/media.js
+// Audio clips for calls (see lib/media.js). Clips are public so the big
+// screen can play them; Express handles range requests for seeking.
+const express = require('express');
+const themes = require('../lib/themes');
+const media = require('../lib/media');
+
+module.exports = function mediaRoutes({ db }) {
+  const router = express.Router();
+
+  // GET /api/media/clip/:themeId?song=... -> the audio file
+  router.get('/clip/:themeId', (req, res) => {
+    const theme = themes.getTheme(db, req.params.themeId);
+    if (!theme) return res.status(404).json({ error: 'Theme not found' });
+    const song = typeof req.query.song === 'string' ? req.query.song : '';
+    if (!theme.songs.includes(song)) return res.status(404).json({ error: 'Song not in theme' });
+    const { file, error } = media.resolveClip(theme, song);
+    if (error) return res.status(404).json({ error });
+    res.sendFile(file);
+  });
+
+  // GET /api/media/status/:themeId -> { configured, total, found, missing }
+  router.get('/status/:themeId', (req, res) => {
+    const theme = themes.getTheme(db, req.params.themeId);
+    if (!theme) return res.status(404).json({ error: 'Theme not found' });
+    res.json(media.mediaStatus(theme));
+  });
+
+  return router;
+};
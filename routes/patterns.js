@@ -0,0 +1,32 @@
+// routes/patterns.js
+// REST API for winning patterns: the built-in classics plus custom patterns
+// drawn in the host panel's designer. Writes require the host PIN.
+const express = require('express');
+const patterns = require('../lib/patterns');
+
+module.exports = function patternRoutes({ db, saveDb, requireHost }) {
+  const router = express.Router();
+
+  // GET /api/patterns -> [{ id, name, masks, builtin }]
+  router.get('/', (_req, res) => {
+    res.json(patterns.listPatterns(db));
+  });
+
+  // POST /api/patterns { name, masks } (or { name, cells } for one shape)
+  router.post('/', requireHost, async (req, res) => {
+    const { pattern, error } = patterns.createPattern(db, req.body);
+    if (error) return res.status(400).json({ error });
+    await saveDb();
+    console.log(`🎯 Pattern created: ${pattern.id} (${pattern.masks.length} shapes)`);
+    res.status(201).json(pattern);
+  });
+
+  // DELETE /api/patterns/:id (custom patterns only)
+  router.delete('/:id', requireHost, async (req, res) => {
+    if (!patterns.deletePattern(db, req.params.id)) return res.status(404).json({ error: 'Custom pattern not found' });
+    await saveDb();
+    res.status(204).end();
+  });
+
+  return router;
+};
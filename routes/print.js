@@ -0,0 +1,42 @@
+// routes/print.js
+// Paper cards for guests without a phone. Printing deals the cards with fresh
+// serials from the room's current game; only the serial numbers are stored
+// because a paper card is rebuilt from its serial when it is claimed.
+// Requires the host PIN.
+const express = require('express');
+const { freeLabelFor, dealCard } = require('../lib/cards');
+
+const MAX_PRINT = 200;
+
+module.exports = function printRoutes({ saveDb, requireHost, getRoom, onCardsDealt }) {
+  const router = express.Router();
+
+  // POST /api/print/cards { room, count }
+  //   -> { room, gameId, theme, gridSize, freeLabel, cards: [{ serial, cells }] }
+  router.post('/cards', requireHost, async (req, res) => {
+    const body = req.body || {};
+    const room = getRoom(body.room);
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    if (!room.gameId) return res.status(400).json({ error: 'Start a game before printing cards' });
+    const count = Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_PRINT) {
+      return res.status(400).json({ error: `count must be 1-${MAX_PRINT}` });
+    }
+
+    const cards = [];
+    for (let i = 0; i < count; i++) cards.push(dealCard(room));
+    onCardsDealt(room);
+    await saveDb();
+    console.log(`🖨️ Printed ${count} cards for ${room.code} (${cards[0].serial} to ${cards[count - 1].serial})`);
+    res.json({
+      room: room.code,
+      gameId: room.gameId,
+      theme: room.theme,
+      gridSize: room.gridSize,
+      freeLabel: freeLabelFor(room),
+      cards,
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,101 @@
+// routes/themes.js
+// REST API for the theme catalog. Reads are public (the host panel and big
+// screen need them); writes require the host PIN in the X-Host-Pin header.
+const express = require('express');
+const themes = require('../lib/themes');
+const { parsePlaylist } = require('../lib/playlist-import');
+const { songsPerCard } = require('../lib/cards');
+
+module.exports = function themeRoutes({ db, saveDb, requireHost }) {
+  const router = express.Router();
+
+  // GET /api/themes -> [{ id, name, songCount }]
+  router.get('/', (_req, res) => {
+    res.json(themes.listThemes(db));
+  });
+
+  // GET /api/themes/:id -> full theme including songs
+  router.get('/:id', (req, res) => {
+    const theme = themes.getTheme(db, req.params.id);
+    if (!theme) return res.status(404).json({ error: 'Theme not found' });
+    res.json(theme);
+  });
+
+  // POST /api/themes { name, songs }
+  router.post('/', requireHost, async (req, res) => {
+    const { theme, error } = themes.createTheme(db, req.body);
+    if (error) return res.status(400).json({ error });
+    await saveDb();
+    console.log(`🎼 Theme created: ${theme.id} (${theme.songs.length} songs)`);
+    res.status(201).json(theme);
+  });
+
+  // POST /api/themes/import { filename, content, themeId?, name?, mode?, dryRun? }
+  // Parses a CSV / M3U / JSON playlist export. With themeId the songs are
+  // appended to that theme (mode: 'replace' swaps them instead); otherwise a
+  // new theme is created, named after `name` or the file. dryRun only reports.
+  router.post('/import', requireHost, async (req, res) => {
+    const { filename, content, themeId, name, mode, dryRun } = req.body || {};
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'Playlist content is required' });
+    }
+    const target = themeId ? themes.getTheme(db, themeId) : null;
+    if (themeId && !target) return res.status(404).json({ error: 'Theme not found' });
+
+    const parsed = parsePlaylist(filename, content);
+    let songs = parsed.songs;
+    const alreadyInTheme = [];
+    if (target && mode !== 'replace') {
+      const existing = new Set(target.songs.map((song) => song.toLowerCase()));
+      const added = parsed.songs.filter((song) => {
+        if (!existing.has(song.toLowerCase())) return true;
+        alreadyInTheme.push(song);
+        return false;
+      });
+      songs = target.songs.concat(added);
+    }
+
+    const report = {
+      format: parsed.format,
+      parsed: parsed.songs.length,
+      errors: parsed.errors,
+      duplicates: parsed.duplicates,
+      alreadyInTheme,
+      total: songs.length,
+      // songs a standard card (5x5 with a free centre) needs
+      minimum: songsPerCard('centre'),
+      enoughForCard: songs.length >= songsPerCard('centre'),
+    };
+    if (dryRun) return res.json({ ...report, dryRun: true, songs: parsed.songs });
+    if (!parsed.songs.length) return res.status(400).json({ error: 'No songs found in playlist', ...report });
+
+    const defaultName = String(filename || 'Imported playlist').replace(/\.[a-z0-9]+$/i, '');
+    const result = target
+      ? themes.updateTheme(db, target.id, { songs })
+      : themes.createTheme(db, { name: typeof name === 'string' && name.trim() ? name : defaultName, songs });
+    if (result.error) return res.status(400).json({ error: result.error, ...report });
+    await saveDb();
+    const { id, name: themeName } = result.theme;
+    console.log(`📥 Imported ${parsed.songs.length} songs (${parsed.format}) into ${id}`);
+    res.status(target ? 200 : 201).json({ ...report, theme: { id, name: themeName, songCount: result.theme.songs.length } });
+  });
+
+  // PUT /api/themes/:id { name?, songs? }
+  router.put('/:id', requireHost, async (req, res) => {
+    const { theme, error, status } = themes.updateTheme(db, req.params.id, req.body);
+    if (error) return res.status(status || 400).json({ error });
+    await saveDb();
+    console.log(`🎼 Theme updated: ${theme.id}`);
+    res.json(theme);
+  });
+
+  // DELETE /api/themes/:id
+  router.delete('/:id', requireHost, async (req, res) => {
+    if (!themes.deleteTheme(db, req.params.id)) return res.status(404).json({ error: 'Theme not found' });
+    await saveDb();
+    console.log(`🗑️ Theme deleted: ${req.params.id}`);
+    res.status(204).end();
+  });
+
+  return router;
+};
@@ -1,31 +1,76 @@
+// Resume test: a player joins, drops their connection and comes back with the
+// signed token from the 'session' event; they should get the same name and
+// the same cards. Cards are only dealt while a game runs, so the host starts
+// one first (HOST_PIN must match the server's host PIN).
 const { io } = require('socket.io-client');
 const serverUrl = process.env.SERVER_URL || 'http://localhost:3000';
 
+function fail(message) {
+  console.error('❌', message);
+  process.exit(1);
+}
+
 async function run() {
   console.log('Resume test against', serverUrl);
-  const client1 = io(serverUrl);
-  client1.on('connect', () => {
-    console.log('client1 connected', client1.id);
-    client1.emit('join-game', 'Resumer');
-  });
-  client1.on('join-accepted', (name) => {
-    console.log('client1 join-accepted', name);
-    // disconnect after short delay
-    setTimeout(()=>{
-      client1.disconnect();
-      console.log('client1 disconnected');
-      // now connect client2 and attempt resume
-      const client2 = io(serverUrl);
-      client2.on('connect', () => {
-        console.log('client2 connected', client2.id);
-        client2.emit('join-game', { name: 'Resumer', resume: true });
-      });
-      client2.on('join-accepted', (name)=>{
-        console.log('client2 join-accepted', name);
-        client2.disconnect();
-      });
-    }, 800);
+  let started = false;
+  let session = null;
+  let serials = null;
+
+  const host = io(serverUrl, { auth: { hostPin: process.env.HOST_PIN } });
+  host.on('host-login-failed', (reason) => fail(`Host login failed (is HOST_PIN set?) ${reason}`));
+  host.on('auth-error', (err) => fail(`Host auth-error (is HOST_PIN set?) ${JSON.stringify(err)}`));
+  host.on('start-failed', (reason) => fail(`Host start-failed: ${reason}`));
+  host.on('host-login-ok', () => host.emit('start-game', { themeId: 'tv-intros' }));
+  host.on('game-info', (info) => {
+    if (info && info.gameId && !started) {
+      started = true;
+      joinFirst();
+    }
   });
+
+  function joinFirst() {
+    const client1 = io(serverUrl);
+    client1.on('connect', () => {
+      console.log('client1 connected', client1.id);
+      client1.emit('join-game', { name: 'Resumer' });
+    });
+    client1.on('session', (s) => { session = s; });
+    client1.on('join-accepted', (name) => console.log('client1 join-accepted', name));
+    client1.on('generateCard', (data) => {
+      serials = data.serials.join(',');
+      console.log('client1 cards', serials);
+      // drop the connection, then come back on a new socket with the token
+      setTimeout(() => {
+        client1.disconnect();
+        console.log('client1 disconnected');
+        resume();
+      }, 300);
+    });
+  }
+
+  function resume() {
+    if (!session || !session.token) fail('No session token received');
+    const client2 = io(serverUrl);
+    client2.on('connect', () => {
+      console.log('client2 connected', client2.id);
+      client2.emit('join-game', { token: session.token });
+    });
+    client2.on('session-invalid', (reason) => fail(`Token rejected: ${reason}`));
+    client2.on('join-accepted', (name) => {
+      console.log('client2 join-accepted', name);
+      if (name !== session.name) fail(`Resumed as ${name}, expected ${session.name}`);
+    });
+    client2.on('generateCard', (data) => {
+      const resumed = data.serials.join(',');
+      if (resumed !== serials) fail(`Cards changed on resume: ${resumed} (was ${serials})`);
+      console.log('✅ Resumed with the same cards', resumed);
+      client2.disconnect();
+      host.disconnect();
+      process.exit(0);
+    });
+  }
+
+  setTimeout(() => fail('Timed out'), 10000);
 }
 
 run().catch(err=>console.error('err', err));
@@ -3,18 +3,26 @@
 const io = require('socket.io-client');
 const fs = require('fs');
 const out = [];
-const socket = io('http://localhost:3000');
+// confirmSong is host-only: authenticate with the server's HOST_PIN
+const socket = io('http://localhost:3000', { auth: { hostPin: process.env.HOST_PIN } });
 
-socket.on('connect', () => {
+socket.on('connect', async () => {
   out.push(`connected ${socket.id}`);
+  // calls must come from the running game's theme: start one first
+  const theme = await fetch('http://localhost:3000/api/themes/tv-intros').then(res => res.json());
+  socket.emit('start-game', { themeId: theme.id });
   // Wait 1s then emit confirmSong for a song
   setTimeout(() => {
-    const song = 'Boots on the Ground - Omar Cunningham';
+    const song = theme.songs[0];
     out.push(`emitting confirmSong -> ${song}`);
     socket.emit('confirmSong', song);
   }, 1000);
 });
 
+socket.on('call-failed', (reason) => {
+  out.push('call-failed: ' + reason);
+});
+
 socket.on('new-call', (item) => {
   out.push(`new-call received by test client: ${item}`);
 });
@@ -23,6 +31,10 @@ socket.on('connect_error', (err) => {
   out.push('connect_error: ' + err.message);
 });
 
+socket.on('auth-error', (err) => {
+  out.push('auth-error: ' + err.message);
+});
+
 setTimeout(() => {
   fs.writeFileSync('c:/cypha-bingo/scripts/smoke-output.txt', out.join('\n'));
   socket.close();
@@ -1,21 +1,33 @@
 // Simple smoke test: connect and emit confirmSong
 const io = require('socket.io-client');
-const socket = io('http://localhost:3000');
+// confirmSong is host-only: authenticate with the server's HOST_PIN
+const socket = io('http://localhost:3000', { auth: { hostPin: process.env.HOST_PIN } });
 
-socket.on('connect', () => {
+socket.on('connect', async () => {
   console.log('test client connected', socket.id);
+  // calls must come from the running game's theme: start one first
+  const theme = await fetch('http://localhost:3000/api/themes/tv-intros').then(res => res.json());
+  socket.emit('start-game', { themeId: theme.id });
   // Wait 1s then emit confirmSong for a song
   setTimeout(() => {
-    const song = 'Boots on the Ground - Omar Cunningham';
+    const song = theme.songs[0];
     console.log('emitting confirmSong ->', song);
     socket.emit('confirmSong', song);
   }, 1000);
 });
 
+socket.on('call-failed', (reason) => {
+  console.error('call-failed', reason);
+});
+
 socket.on('connect_error', (err) => {
   console.error('connect_error', err);
 });
 
+socket.on('auth-error', (err) => {
+  console.error('auth-error (is HOST_PIN set?)', err);
+});
+
 socket.on('new-call', (item) => {
   console.log('new-call received by test client:', item);
 });
@@ -5,13 +5,23 @@ const serverUrl = process.env.SERVER_URL || 'http://localhost:3000';
 
 async function run() {
   console.log('Starting smoke test against', serverUrl);
-  const host = io(serverUrl);
+  // HOST_PIN must match the server's host PIN for start-game to be accepted
+  const host = io(serverUrl, { auth: { hostPin: process.env.HOST_PIN } });
+
+  host.on('start-failed', (reason) => console.error('Host start-failed', reason));
+  host.on('auth-error', (err) => console.error('Host auth-error (is HOST_PIN set?)', err));
 
   host.on('connect', () => {
     console.log('Host connected as', host.id);
 
-    // Start a fake game
-    host.emit('startgame', { name: 'Smoke Test Theme', songs: Array.from({length: 30}, (_,i)=>`Song ${i+1}`) });
+    // Start a game with the first theme in the server's catalog
+    fetch(`${serverUrl}/api/themes`)
+      .then(res => res.json())
+      .then(themes => {
+        console.log('Starting game with theme', themes[0].id);
+        host.emit('start-game', { themeId: themes[0].id });
+      })
+      .catch(err => console.error('Could not list themes', err));
 
     setTimeout(()=>{
       host.disconnect();
@@ -3,9 +3,52 @@ const express = require('express');
 const http = require('http');
 const socketio = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
 // persistence
 const { Low } = require('lowdb');
 const { JSONFile } = require('lowdb/node');
+// claim verification
+const { CARD_SIZE, DEFAULT_PATTERN, FREE_SPACE, getPattern, patternMasks, checkClaim } = require('./lib/patterns');
+const patternRoutes = require('./routes/patterns');
+const { validateStages, currentStage, stageInfo } = require('./lib/stages');
+const { uncalledSongs, addCall, nextUncalled, retractLastCall } = require('./lib/calls');
+const { createClaimRules, validateClaimRules, claimBlock, queueClaim, acceptClaim, rejectClaim } = require('./lib/claims');
+const { mediaEnabled, resolveClip, clipUrl } = require('./lib/media');
+const mediaRoutes = require('./routes/media');
+// theme catalog
+const { seedThemes, getTheme } = require('./lib/themes');
+const themeRoutes = require('./routes/themes');
+// custom cards from the card builder
+const { getCard } = require('./lib/custom-cards');
+const cardRoutes = require('./routes/cards');
+// player sessions: resume tokens and recovery codes
+const {
+  sessionSecret,
+  sessionForName,
+  openSession,
+  sessionFromToken,
+  recoverSession,
+  endSession,
+  sessionPayload,
+} = require('./lib/sessions');
+const { createNameRules, validateNameRules, validateName, withSuffix } = require('./lib/names');
+const { banFor, addBan, removeBan, setClaimBlock, renamePlayer, moderationState } = require('./lib/moderation');
+// card serials and printed paper cards
+const {
+  freeLabelFor,
+  songsPerCard,
+  validateCardLayout,
+  overlapCap,
+  dealCard,
+  playerCards,
+  cardStats,
+  cardFromSerial,
+} = require('./lib/cards');
+const printRoutes = require('./routes/print');
+// seeded call order and cards, audit records of games
+const { createSeed, seedHash, callOrder } = require('./lib/seed');
+const { recordGameStart, recordGameEnd, gameSummary, getGame } = require('./lib/games');
+const gameRoutes = require('./routes/games');
 
 const app = express();
 const server = http.createServer(app);
@@ -14,9 +57,15 @@ const io = socketio(server);
 // Azure/Heroku-style port
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, TRUST_PROXY is the number of proxies in front of the
+// server, so client addresses come from X-Forwarded-For instead of the proxy
+const TRUST_PROXY = Number(process.env.TRUST_PROXY) || 0;
+if (TRUST_PROXY) app.set('trust proxy', TRUST_PROXY);
+
 // ---------- Static hosting ----------
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/assets', express.static(path.join(__dirname, 'public/assets')));
+app.use(express.json({ limit: '5mb' })); // playlist exports can be large
 
 // Always serve the client HTML at root
 app.get('/', (req, res) => {
@@ -26,30 +75,387 @@ app.get('/', (req, res) => {
 // Health check
 app.get('/health', (_req, res) => res.send('ok'));
 
-// ---------- Game state ----------
-let currentTheme = '';
-let callList = [];
-let currentCallIndex = -1;
-let currentGameId = null;
-let calledHistory = []; // chronological list of confirmed calls
-let currentAnnouncement = '';
-
-// playerCardsByGame maps gameId => { playerName => { card1, card2 } }
-let playerCardsByGame = {};
-const activePlayers = new Map();   // socket.id => playerName
-
-function shuffle(array) {
-  const a = [...array];
-  for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [a[i], a[j]] = [a[j], a[i]];
+// ---------- Rooms ----------
+// Every game lives in a room identified by a short code so several venues can
+// share one deployment. Sockets join the matching Socket.IO room and every
+// broadcast is scoped to it. Sockets that never pick a room (older clients,
+// the smoke-test scripts) land in DEFAULT_ROOM.
+const DEFAULT_ROOM = 'MAIN';
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+const ROOM_CODE_LENGTH = 4;
+const ROOM_IDLE_MS = 12 * 60 * 60 * 1000; // drop empty rooms after 12h
+
+const rooms = new Map(); // room code => room state
+
+function createRoomState(code) {
+  return {
+    code,
+    themeId: null,
+    theme: '',
+    callList: [], // the game's song pool, in the call order drawn from seed
+    gameId: null,
+    calledHistory: [], // chronological list of confirmed calls
+    voidedCalls: [], // calls taken back with 'void-call'; not callable again
+    callLog: [], // every call with its time, for the game's history
+    autoCaller: createAutoCallerState(),
+    // clip playback on the big screen: seconds played per call and fade out
+    audio: { enabled: true, snippetSec: 30, fadeSec: 3 },
+    announcement: '',
+    pattern: DEFAULT_PATTERN, // pattern id (built-in or custom)
+    // stages of the current game ({ pattern, prize }), the one being played
+    // and the verified winner of each finished stage
+    stages: [],
+    stageIndex: 0,
+    winners: [],
+    // the claim queue of the current game, in arrival order; the host accepts
+    // or rejects each one ({ id, seq, name, calls, at, status: 'pending' |
+    // 'accepted' | 'rejected', ... }). claimRules holds the split pot and
+    // false-claim cooldown settings, claimPenalties each player's cooldown.
+    claims: [],
+    claimRules: createClaimRules(),
+    claimPenalties: {},
+    // players the host banned and names whose claims are blocked (see
+    // lib/moderation.js)
+    bans: [],
+    claimBlocks: [],
+    // what player names may look like (see lib/names.js)
+    nameRules: createNameRules(),
+    // free centre tile: 'centre' (FREE SPACE), 'none' or 'custom' (freeLabel)
+    freeSpace: 'centre',
+    freeLabel: '',
+    // each player gets cardCount cards of gridSize x gridSize
+    gridSize: 5,
+    cardCount: 2,
+    // 'auto': phones mark called songs on the cards themselves and hint when
+    // a card is one away; 'manual': players mark their own tiles
+    daubMode: 'manual',
+    players: new Map(), // socket.id => playerName
+    // the game's secret seed: the call order and every card are drawn from
+    // it (lib/seed.js). Cards are rebuilt from their serial, the seed and the
+    // song pool; nextSerial is the next card number to deal or print and
+    // dealtSerials the ones handed out. Two cards share at most maxOverlap
+    // songs (see lib/cards.js).
+    seed: null,
+    cardPool: [],
+    nextSerial: 1,
+    dealtSerials: [],
+    maxOverlap: CARD_SIZE - 1,
+    // playerCardsByGame maps gameId => { playerName => { cards, serials } }
+    // (see playerCards in lib/cards.js for the older { card1, card2 } shape)
+    playerCardsByGame: {},
+    lastActive: Date.now(),
+  };
+}
+
+function normalizeRoomCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+function generateRoomCode() {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+    }
+  } while (rooms.has(code));
+  return code;
+}
+
+function roomClientCount(code) {
+  const members = io.sockets.adapter.rooms.get(code);
+  return members ? members.size : 0;
+}
+
+// forget rooms nobody has used for a while so codes can be reused; a game
+// still running in one is ended first so its record keeps what happened and
+// its seed is revealed for replays
+function pruneIdleRooms() {
+  const now = Date.now();
+  for (const [code, room] of rooms) {
+    if (code === DEFAULT_ROOM) continue;
+    if (roomClientCount(code) === 0 && now - room.lastActive > ROOM_IDLE_MS) {
+      console.log(`🧹 Pruning idle room ${code}`);
+      clearAutoTimer(room);
+      if (room.gameId) endGame(room);
+      rooms.delete(code);
+    }
+  }
+}
+
+rooms.set(DEFAULT_ROOM, createRoomState(DEFAULT_ROOM));
+
+// ---------- Host authentication ----------
+// The host PIN comes from HOST_PIN, else from the lowdb file. If neither is
+// set a random PIN is generated on first start, saved, and printed to the log.
+// The right PIN always gets in. Wrong ones, over the host login and the
+// X-Host-Pin header alike, are answered after a delay that doubles with each
+// wrong PIN from the same address in the last PIN_FAILURE_WINDOW_MS (guests
+// behind one venue address cannot lock the host out, only slow themselves
+// down), and a socket is disconnected after MAX_LOGIN_ATTEMPTS wrong PINs.
+const MAX_LOGIN_ATTEMPTS = 5;
+const PIN_DELAY_MS = 500;
+const MAX_PIN_DELAY_MS = 30 * 1000;
+const PIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+let hostPin = '';
+const pinFailures = new Map(); // address -> { count, lastAt }
+
+function pinMatches(candidate) {
+  if (typeof candidate !== 'string' || !hostPin) return false;
+  const a = crypto.createHash('sha256').update(candidate).digest();
+  const b = crypto.createHash('sha256').update(hostPin).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Check a PIN sent from this address. Returns { ok: true }, or { error,
+// delayMs } with how long to hold back the answer.
+function checkHostPin(ip, candidate, now = Date.now()) {
+  if (pinMatches(candidate)) return { ok: true };
+  // failures older than the window are forgotten
+  for (const [addr, f] of pinFailures) {
+    if (now - f.lastAt > PIN_FAILURE_WINDOW_MS) pinFailures.delete(addr);
   }
-  return a;
+  const failure = pinFailures.get(ip) || { count: 0, lastAt: now };
+  failure.count++;
+  failure.lastAt = now;
+  pinFailures.set(ip, failure);
+  if (failure.count === MAX_LOGIN_ATTEMPTS) console.warn(`🐢 Slowing down host PIN checks for ${ip} after ${failure.count} wrong PINs`);
+  const delayMs = Math.min(MAX_PIN_DELAY_MS, PIN_DELAY_MS * 2 ** Math.min(failure.count - 1, 16));
+  return { error: 'Wrong PIN', delayMs };
+}
+
+// the client's address for a socket, read the way Express reads req.ip with
+// TRUST_PROXY proxies in front
+function socketAddress(socket) {
+  const forwarded = TRUST_PROXY ? String(socket.handshake.headers['x-forwarded-for'] || '').split(',') : [];
+  const chain = [...forwarded.map((a) => a.trim()).filter(Boolean), socket.handshake.address];
+  return chain[Math.max(0, chain.length - 1 - TRUST_PROXY)];
+}
+
+// ---------- Game helpers ----------
+// a player's cards for the game with their serials (see lib/cards.js)
+function dealCards(room) {
+  const dealt = Array.from({ length: room.cardCount }, () => dealCard(room));
+  return { cards: dealt.map((card) => card.cells), serials: dealt.map((card) => card.serial) };
+}
+
+// what 'generateCard' sends: the stored cards with their serials and grid
+// size, plus the free label so the client knows which centre tile to
+// pre-mark. card1/card2 keep older clients (two 5x5 cards) working.
+function cardPayload(room, entry) {
+  const { cards, serials } = playerCards(entry);
+  return {
+    cards,
+    serials,
+    rows: room.gridSize,
+    cols: room.gridSize,
+    card1: cards[0] || [],
+    card2: cards[1] || [],
+    freeLabel: freeLabelFor(room),
+  };
+}
+
+// the room's pattern definition; a custom pattern deleted mid-game falls
+// back to the default
+function activePattern(room) {
+  return getPattern(db, room.pattern) || getPattern(db, DEFAULT_PATTERN);
+}
+
+// what 'bingo-pattern' sends: the masks on the game's card size let clients
+// draw a preview
+function patternPayload(room) {
+  const pattern = activePattern(room);
+  const masks = patternMasks(pattern, room.gridSize);
+  return { id: pattern.id, name: pattern.name, masks: masks || pattern.masks, size: masks ? room.gridSize : 5 };
 }
 
-function updateLobby() {
-  const names = Array.from(activePlayers.values());
-  io.emit('player-list', names);
+// The game's songs in theme order, plus any a custom card added, for the big
+// screen's board. Not room.callList: its order is the secret call order.
+function boardPool(room) {
+  const pool = new Set(room.cardPool);
+  return [...room.cardPool, ...room.callList.filter((song) => !pool.has(song))];
+}
+
+function gameInfo(room) {
+  return {
+    gameId: room.gameId,
+    theme: room.theme,
+    themeId: room.themeId,
+    room: room.code,
+    freeSpace: room.freeSpace,
+    freeLabel: freeLabelFor(room),
+    gridSize: room.gridSize,
+    cardCount: room.cardCount,
+    daubMode: room.daubMode,
+    pool: room.gameId ? boardPool(room) : [],
+    voidedCalls: room.voidedCalls.slice(),
+    // the seed stays secret until the game ends; its hash proves it later
+    seedHash: room.gameId && room.seed ? seedHash(room.seed) : null,
+  };
+}
+
+function updateLobby(room) {
+  const names = Array.from(room.players.values());
+  io.to(room.code).emit('player-list', names);
+}
+
+// send the room's current state to one socket so hosts/bigscreen that simply
+// reload do not appear empty. This includes game metadata, the confirmed
+// call history and the lobby player list.
+function sendRoomState(socket, room) {
+  socket.emit('room-joined', { code: room.code });
+  socket.emit('game-info', gameInfo(room));
+  socket.emit('call-update', room.calledHistory.slice());
+  socket.emit('player-list', Array.from(room.players.values()));
+  // send current announcement so bigscreen reflects latest on refresh
+  socket.emit('announcement', room.announcement);
+  socket.emit('bingo-pattern', patternPayload(room));
+  socket.emit('stage-update', stageInfo(db, room));
+  socket.emit('auto-caller', autoCallerInfo(room));
+  socket.emit('audio-settings', room.audio);
+  // claims still being checked, so a refreshed big screen shows them again
+  room.claims.filter((c) => c.status === 'pending').forEach((c) => socket.emit('claim-pending', { id: c.id, name: c.name }));
+  if (socket.data.role === 'host') sendHostState(socket, room);
+}
+
+// the host-only part of the room state
+function sendHostState(socket, room) {
+  socket.emit('auto-caller-upcoming', room.autoCaller.upcoming);
+  socket.emit('claim-queue', room.claims);
+  socket.emit('claim-settings', room.claimRules);
+  socket.emit('moderation', moderationState(room));
+  socket.emit('name-rules', room.nameRules);
+  const record = room.gameId ? getGame(db, room.gameId) : null;
+  if (record && record.endedAt) socket.emit('game-seed', gameSummary(record));
+  if (room.gameId) socket.emit('card-stats', cardStats(room));
+}
+
+// tell the hosts how fair the cards dealt so far are (after dealing)
+function emitCardStats(room) {
+  emitToHosts(room, 'card-stats', cardStats(room));
+}
+
+// the room's game is over (every stage won, or the next game is starting):
+// stop the auto caller, close its audit record and reveal the seed to the hosts
+function endGame(room) {
+  if (room.autoCaller.enabled) stopAutoCaller(room, 'Game over');
+  const record = recordGameEnd(db, room);
+  if (!record) return;
+  console.log(`🔐 Game ${room.gameId} in ${room.code} ended; seed revealed to hosts`);
+  emitToHosts(room, 'game-seed', gameSummary(record));
+}
+
+// move a socket into a room, leaving the one it was in (a socket only ever
+// belongs to one game room)
+function enterRoom(socket, room) {
+  const prevCode = socket.data.room;
+  if (prevCode === room.code) return;
+
+  if (prevCode) {
+    socket.leave(prevCode);
+    const prev = rooms.get(prevCode);
+    if (prev) {
+      prev.players.delete(socket.id);
+      updateLobby(prev);
+      io.to(prevCode).emit('player-count', roomClientCount(prevCode));
+    }
+  }
+
+  socket.join(room.code);
+  socket.data.room = room.code;
+  room.lastActive = Date.now();
+  sendRoomState(socket, room);
+  io.to(room.code).emit('player-count', roomClientCount(room.code));
+}
+
+// the persisted part of a room: everything needed to resume the game after a
+// restart (connected sockets are rebuilt as clients reconnect)
+function serializeRoom(room) {
+  return {
+    gameId: room.gameId,
+    themeId: room.themeId,
+    theme: room.theme,
+    callList: room.callList,
+    calledHistory: room.calledHistory,
+    voidedCalls: room.voidedCalls,
+    callLog: room.callLog,
+    autoCaller: room.autoCaller,
+    audio: room.audio,
+    announcement: room.announcement,
+    pattern: room.pattern,
+    stages: room.stages,
+    stageIndex: room.stageIndex,
+    winners: room.winners,
+    claims: room.claims,
+    claimRules: room.claimRules,
+    claimPenalties: room.claimPenalties,
+    bans: room.bans,
+    claimBlocks: room.claimBlocks,
+    nameRules: room.nameRules,
+    freeSpace: room.freeSpace,
+    freeLabel: room.freeLabel,
+    gridSize: room.gridSize,
+    cardCount: room.cardCount,
+    daubMode: room.daubMode,
+    seed: room.seed,
+    cardPool: room.cardPool,
+    nextSerial: room.nextSerial,
+    dealtSerials: room.dealtSerials,
+    maxOverlap: room.maxOverlap,
+    playerCardsByGame: room.playerCardsByGame,
+    lastActive: room.lastActive,
+  };
+}
+
+function restoreRoom(code, saved) {
+  const room = rooms.get(code) || createRoomState(code);
+  room.gameId = saved.gameId || null;
+  room.themeId = saved.themeId || null;
+  room.theme = saved.theme || '';
+  room.callList = Array.isArray(saved.callList) ? saved.callList : [];
+  room.calledHistory = Array.isArray(saved.calledHistory) ? saved.calledHistory : [];
+  room.voidedCalls = Array.isArray(saved.voidedCalls) ? saved.voidedCalls : [];
+  room.callLog = Array.isArray(saved.callLog) ? saved.callLog : [];
+  room.autoCaller = { ...createAutoCallerState(), ...(saved.autoCaller || {}) };
+  // nobody asked for calls while the server was down: come back paused
+  if (room.autoCaller.enabled && !room.autoCaller.paused) {
+    room.autoCaller.remainingMs = room.autoCaller.intervalSec * 1000;
+    room.autoCaller.paused = true;
+    room.autoCaller.reason = 'Server restarted';
+  }
+  room.autoCaller.nextCallAt = null;
+  room.audio = { ...room.audio, ...(saved.audio || {}) };
+  room.announcement = saved.announcement || '';
+  room.pattern = saved.pattern || DEFAULT_PATTERN;
+  // games saved before stages existed play a single stage on their pattern
+  room.stages = Array.isArray(saved.stages) ? saved.stages : room.gameId ? [{ pattern: room.pattern, prize: '' }] : [];
+  room.stageIndex = Number.isInteger(saved.stageIndex) ? saved.stageIndex : 0;
+  room.winners = Array.isArray(saved.winners) ? saved.winners : [];
+  room.claims = Array.isArray(saved.claims) ? saved.claims : [];
+  room.claimRules = { ...createClaimRules(), ...(saved.claimRules || {}) };
+  room.claimPenalties = saved.claimPenalties || {};
+  room.bans = Array.isArray(saved.bans) ? saved.bans : [];
+  room.claimBlocks = Array.isArray(saved.claimBlocks) ? saved.claimBlocks : [];
+  room.nameRules = { ...createNameRules(), ...(saved.nameRules || {}) };
+  // games saved before free-space support had no free square
+  room.freeSpace = saved.freeSpace || 'none';
+  room.freeLabel = saved.freeLabel || '';
+  // games saved before card counts dealt two 5x5 cards
+  room.gridSize = saved.gridSize || 5;
+  room.cardCount = saved.cardCount || 2;
+  room.daubMode = saved.daubMode === 'auto' ? 'auto' : 'manual';
+  // games saved before seeds existed deal new cards from the call list
+  room.seed = saved.seed || createSeed();
+  room.cardPool = Array.isArray(saved.cardPool) ? saved.cardPool : room.callList.slice();
+  room.nextSerial = Number.isInteger(saved.nextSerial) ? saved.nextSerial : 1;
+  // before overlap checks every serial up to nextSerial was dealt
+  room.dealtSerials = Array.isArray(saved.dealtSerials)
+    ? saved.dealtSerials
+    : Array.from({ length: room.nextSerial - 1 }, (_, i) => i + 1);
+  room.maxOverlap = Number.isInteger(saved.maxOverlap) ? saved.maxOverlap : CARD_SIZE - 1;
+  room.playerCardsByGame = saved.playerCardsByGame || {};
+  room.lastActive = saved.lastActive || Date.now();
+  return room;
 }
 
 // --- lowdb setup (simple file persistence) ---
@@ -59,240 +465,1083 @@ const db = new Low(adapter);
 
 async function loadDb() {
   try {
-  // ensure data directory exists
-  const fs = require('fs');
-  const dataDir = path.dirname(dbFile);
-  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+    // ensure data directory exists
+    const fs = require('fs');
+    const dataDir = path.dirname(dbFile);
+    if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
     await db.read();
-    db.data = db.data || { currentGameId: null, playerCardsByGame: {} };
-    currentGameId = db.data.currentGameId || null;
-    playerCardsByGame = db.data.playerCardsByGame || {};
-    console.log('🔁 Loaded DB:', Object.keys(playerCardsByGame).length, 'games');
+    db.data = db.data || { rooms: {} };
+
+    // older files stored a single game at the top level; fold it into the
+    // default room
+    if (!db.data.rooms) {
+      db.data.rooms = {
+        [DEFAULT_ROOM]: {
+          gameId: db.data.currentGameId || null,
+          playerCardsByGame: db.data.playerCardsByGame || {},
+        },
+      };
+      delete db.data.currentGameId;
+      delete db.data.playerCardsByGame;
+    }
+
+    for (const [code, saved] of Object.entries(db.data.rooms)) {
+      const room = restoreRoom(code, saved || {});
+      rooms.set(code, room);
+      if (room.gameId) {
+        console.log(`🔁 Resuming ${code}: ${room.theme || '(no theme)'} with ${room.calledHistory.length} calls`);
+      }
+    }
+    console.log('🔁 Loaded DB:', rooms.size, 'rooms');
+
+    if (seedThemes(db)) {
+      console.log('🎼 Seeded theme catalog:', db.data.themes.length, 'themes');
+      await db.write();
+    }
+
+    if (process.env.HOST_PIN) {
+      hostPin = process.env.HOST_PIN;
+    } else if (db.data.hostPin) {
+      hostPin = String(db.data.hostPin);
+    } else {
+      hostPin = String(crypto.randomInt(100000, 1000000));
+      db.data.hostPin = hostPin;
+      await db.write();
+      console.log(`🔑 No HOST_PIN set; generated host PIN ${hostPin} (saved to ${dbFile})`);
+    }
+
+    // player session tokens are signed with SESSION_SECRET, else a secret
+    // generated once and kept in the db
+    if (!process.env.SESSION_SECRET && !db.data.sessionSecret) {
+      sessionSecret(db);
+      await db.write();
+    }
   } catch (err) {
     console.warn('⚠️ Could not read DB:', err.message);
-    db.data = { currentGameId: null, playerCardsByGame: {} };
+    db.data = { rooms: {} };
+    seedThemes(db);
+    hostPin = process.env.HOST_PIN || '';
   }
 }
 
 async function saveDb() {
   try {
-  db.data = db.data || {};
-  db.data.currentGameId = currentGameId;
-  db.data.playerCardsByGame = playerCardsByGame;
-  await db.write();
+    db.data = db.data || {};
+    db.data.rooms = {};
+    for (const [code, room] of rooms) {
+      db.data.rooms[code] = serializeRoom(room);
+    }
+    await db.write();
   } catch (err) {
     console.warn('⚠️ Could not write DB:', err.message);
   }
 }
 
+// ---------- Calls + auto caller ----------
+// announce a call that lib/calls has accepted to everyone in the room
+function announceCall(room, song) {
+  room.lastActive = Date.now();
+  io.to(room.code).emit('broadcastSong', song);
+  io.to(room.code).emit('new-call', song);
+  // the auto caller's next pick was just called by hand: pick another
+  if (room.autoCaller.upcoming === song) pickUpcoming(room);
+  playClip(room, song);
+  saveDb();
+}
+
+// The clip for a song of the room's theme, with the room's snippet settings,
+// as sent in 'play-clip' / 'preview-clip'. Returns { clip } or { error }.
+function clipFor(room, song) {
+  const theme = room.themeId ? getTheme(db, room.themeId) : null;
+  if (!theme) return { error: 'No theme in play' };
+  if (!theme.songs.includes(song)) return { error: `"${song}" is not in theme ${theme.name}` };
+  const { start, error } = resolveClip(theme, song);
+  if (error) return { error };
+  const { snippetSec, fadeSec } = room.audio;
+  return { clip: { song, url: clipUrl(theme.id, song), start, snippetSec, fadeSec } };
+}
+
+// the big screen plays the clip of each call; hosts hear about missing files
+function playClip(room, song) {
+  if (!mediaEnabled() || !room.audio.enabled) return;
+  const { clip, error } = clipFor(room, song);
+  if (error) {
+    console.warn(`🔇 ${room.code}: ${error}`);
+    emitToHosts(room, 'media-warning', { song, message: error });
+    return;
+  }
+  io.to(room.code).emit('play-clip', clip);
+}
+
+// The auto caller calls a random uncalled song every intervalSec seconds.
+// The server owns the timer so a host refresh does not stop it; a claim
+// pauses it. The song it will call next is picked ahead of time and shown to
+// the host (only) so it can be skipped.
+const AUTO_INTERVAL_MIN = 5;
+const AUTO_INTERVAL_MAX = 600;
+const autoTimers = new Map(); // room code => timeout handle
+
+function createAutoCallerState() {
+  return {
+    enabled: false,
+    paused: false,
+    intervalSec: 45,
+    nextCallAt: null, // epoch ms while running
+    remainingMs: null, // time left on the countdown while paused
+    reason: '', // why it paused / stopped
+    upcoming: null,
+  };
+}
+
+// what 'auto-caller' sends; remainingMs rather than a timestamp so client
+// clocks do not matter
+function autoCallerInfo(room) {
+  const ac = room.autoCaller;
+  const running = ac.enabled && !ac.paused;
+  return {
+    enabled: ac.enabled,
+    paused: ac.paused,
+    intervalSec: ac.intervalSec,
+    remainingMs: running && ac.nextCallAt ? Math.max(0, ac.nextCallAt - Date.now()) : ac.remainingMs,
+    reason: ac.reason,
+  };
+}
+
+function emitToHosts(room, event, payload) {
+  for (const id of io.sockets.adapter.rooms.get(room.code) || []) {
+    const s = io.sockets.sockets.get(id);
+    if (s && s.data.role === 'host') s.emit(event, payload);
+  }
+}
+
+function emitAutoCaller(room) {
+  io.to(room.code).emit('auto-caller', autoCallerInfo(room));
+  emitToHosts(room, 'auto-caller-upcoming', room.autoCaller.upcoming);
+}
+
+function clearAutoTimer(room) {
+  clearTimeout(autoTimers.get(room.code));
+  autoTimers.delete(room.code);
+}
+
+// choose the next auto call, avoiding the current pick when possible
+function pickUpcoming(room) {
+  const current = room.autoCaller.upcoming;
+  const { song } = nextUncalled(room, current);
+  room.autoCaller.upcoming = song || null;
+  emitToHosts(room, 'auto-caller-upcoming', room.autoCaller.upcoming);
+}
+
+function scheduleAutoCall(room, delayMs) {
+  clearAutoTimer(room);
+  room.autoCaller.nextCallAt = Date.now() + delayMs;
+  room.autoCaller.remainingMs = null;
+  autoTimers.set(room.code, setTimeout(() => autoCall(room), delayMs));
+}
+
+function autoCall(room) {
+  autoTimers.delete(room.code);
+  const ac = room.autoCaller;
+  if (!ac.enabled || ac.paused) return;
+  const song = uncalledSongs(room).includes(ac.upcoming) ? ac.upcoming : nextUncalled(room).song;
+  if (!song || addCall(room, song).error) {
+    stopAutoCaller(room, 'Every song has been called');
+    return;
+  }
+  console.log(`⏱️ Auto call in ${room.code}: ${song}`);
+  pickUpcoming(room);
+  scheduleAutoCall(room, ac.intervalSec * 1000);
+  announceCall(room, song);
+  emitAutoCaller(room);
+}
+
+function startAutoCaller(room, intervalSec) {
+  room.autoCaller = { ...createAutoCallerState(), enabled: true, intervalSec };
+  pickUpcoming(room);
+  scheduleAutoCall(room, intervalSec * 1000);
+  emitAutoCaller(room);
+  saveDb();
+}
+
+function stopAutoCaller(room, reason = '') {
+  clearAutoTimer(room);
+  room.autoCaller = { ...createAutoCallerState(), intervalSec: room.autoCaller.intervalSec, reason };
+  emitAutoCaller(room);
+  saveDb();
+}
+
+function pauseAutoCaller(room, reason) {
+  const ac = room.autoCaller;
+  if (!ac.enabled || ac.paused) return;
+  clearAutoTimer(room);
+  ac.remainingMs = Math.max(0, ac.nextCallAt - Date.now());
+  ac.nextCallAt = null;
+  ac.paused = true;
+  ac.reason = reason;
+  console.log(`⏸️ Auto caller paused in ${room.code}: ${reason}`);
+  emitAutoCaller(room);
+  saveDb();
+}
+
+function resumeAutoCaller(room) {
+  const ac = room.autoCaller;
+  if (!ac.enabled || !ac.paused) return;
+  ac.paused = false;
+  ac.reason = '';
+  scheduleAutoCall(room, ac.remainingMs || ac.intervalSec * 1000);
+  emitAutoCaller(room);
+  saveDb();
+}
+
+// ---------- Claims ----------
+// Check a claim against the claimant's cards ({ cards, serials }),
+// the confirmed calls and the current stage's pattern, then queue it for the
+// host. Tiles the player marked themselves are ignored so marking uncalled
+// songs can never win. Only called while a game runs. Returns the claim.
+function receiveClaim(room, name, entry, reason) {
+  const stage = currentStage(room);
+  const cards = entry ? playerCards(entry) : null;
+  let verdict = checkClaim(cards, room.calledHistory, activePattern(room), freeLabelFor(room));
+  if (!stage) {
+    verdict = { ...verdict, valid: false };
+    reason = 'Every stage of this game has already been won';
+  }
+  console.log(`🎯 bingo-claim from ${name} in ${room.code}: ${verdict.valid ? 'valid' : 'invalid'} (${verdict.pattern})`);
+
+  // give the host time to check the claim before the next auto call
+  pauseAutoCaller(room, `Claim from ${name}`);
+
+  // the host gets the full card so the matched cells can be shown
+  const fields = {
+    name,
+    gameId: room.gameId,
+    valid: verdict.valid,
+    pattern: verdict.pattern,
+    stage: room.stageIndex,
+    prize: stage ? stage.prize : '',
+    card: verdict.card,
+    serial: verdict.card !== null ? cards.serials[verdict.card] || null : null,
+    cardCells: verdict.card !== null ? cards.cards[verdict.card] : null,
+    cells: verdict.cells,
+    missing: verdict.missing,
+    calls: room.calledHistory.length,
+    reason,
+  };
+  const claim = queueClaim(room, fields);
+
+  io.to(room.code).emit('bingo-alert', `${name} says BINGO!`);
+  io.to(room.code).emit('claim-pending', { id: claim.id, name });
+  emitToHosts(room, 'claim-verdict', claim);
+  saveDb();
+  return claim;
+}
+
+// ---------- Moderation ----------
+// the sockets a player in the room is connected on
+function playerSockets(room, name) {
+  return Array.from(room.players.entries())
+    .filter(([, pname]) => pname === name)
+    .map(([sid]) => io.sockets.sockets.get(sid))
+    .filter(Boolean);
+}
+
+// Take a player out of the room: their phone is told why (and whether they
+// are banned, so it keeps its token) and disconnected, and their cards for
+// the current game are discarded.
+function removePlayer(room, name, reason, banned = false) {
+  for (const playerSocket of playerSockets(room, name)) {
+    room.players.delete(playerSocket.id);
+    playerSocket.emit('kicked', reason, { banned });
+    playerSocket.disconnect(true);
+  }
+  if (room.gameId && room.playerCardsByGame[room.gameId]) delete room.playerCardsByGame[room.gameId][name];
+  updateLobby(room);
+}
+
+function emitModeration(room) {
+  emitToHosts(room, 'moderation', moderationState(room));
+}
+
+// ---------- REST API ----------
+// host-only routes expect the host PIN in the X-Host-Pin header; wrong PINs
+// are answered late like host logins are
+function requireHost(req, res, next) {
+  const pin = req.get('x-host-pin');
+  if (!pin) return res.status(401).json({ error: 'Host PIN required' });
+  const { error, delayMs } = checkHostPin(req.ip, pin);
+  if (error) {
+    setTimeout(() => res.status(401).json({ error: 'Host PIN required' }), delayMs);
+    return;
+  }
+  next();
+}
+
+app.use('/api/themes', themeRoutes({ db, saveDb, requireHost }));
+app.use('/api/cards', cardRoutes({ db, saveDb, requireHost }));
+app.use('/api/patterns', patternRoutes({ db, saveDb, requireHost }));
+app.use('/api/media', mediaRoutes({ db }));
+app.use('/api/games', gameRoutes({ db, requireHost }));
+app.use('/api/print', printRoutes({
+  saveDb,
+  requireHost,
+  getRoom: (code) => rooms.get(normalizeRoomCode(code)),
+  onCardsDealt: emitCardStats,
+}));
+
 // ---------- Socket handlers ----------
 io.on('connection', (socket) => {
   console.log(`Client connected: ${socket.id}`);
 
-  // broadcast player count on connect
-  io.emit('player-count', io.engine.clientsCount);
+  // clients may name their room in the handshake (io({ query: { room } }));
+  // everyone else starts in the default room
+  const requested = normalizeRoomCode(socket.handshake.query && socket.handshake.query.room);
+  if (requested && !rooms.has(requested)) {
+    socket.emit('room-error', `Room ${requested} not found`);
+  }
+  enterRoom(socket, rooms.get(requested) || rooms.get(DEFAULT_ROOM));
 
-  // send current state to the newly connected socket so hosts/bigscreen
-  // that simply reload do not appear empty. This includes game metadata,
-  // call history up to the current index, and the lobby player list.
-  socket.emit('game-info', { gameId: currentGameId, theme: currentTheme });
-  socket.emit('call-update', calledHistory.slice());
-  socket.emit('player-list', Array.from(activePlayers.values()));
-  // send current announcement so bigscreen reflects latest on refresh
-  socket.emit('announcement', currentAnnouncement);
+  const currentRoom = () => rooms.get(socket.data.room);
+
+  // every socket is a player until it logs in as host or announces itself as
+  // the big screen (io({ query: { role: 'bigscreen' } }))
+  socket.data.role = socket.handshake.query && socket.handshake.query.role === 'bigscreen' ? 'bigscreen' : 'player';
+  // for bans by address (see lib/moderation.js) and the host PIN delay
+  socket.data.ip = socketAddress(socket);
+  socket.data.loginAttempts = 0;
+
+  // host login: { pin } or a bare PIN string. Scripts may pass the PIN in the
+  // handshake instead (io(url, { auth: { hostPin } })).
+  const hostLogin = (payload) => {
+    const pin = typeof payload === 'string' ? payload : payload && payload.pin;
+    // one login at a time per socket, so the delay cannot be run in parallel
+    if (socket.data.loginPending) return;
+    const { error, delayMs } = checkHostPin(socket.data.ip, pin);
+    if (error) {
+      socket.data.loginAttempts++;
+      socket.data.loginPending = true;
+      console.warn(`🚫 Failed host login from ${socket.id} (${socket.data.ip})`);
+      setTimeout(() => {
+        socket.data.loginPending = false;
+        if (socket.data.loginAttempts < MAX_LOGIN_ATTEMPTS) return socket.emit('host-login-failed', error);
+        socket.emit('host-login-failed', 'Too many wrong PINs; reload to try again');
+        socket.disconnect(true);
+      }, delayMs);
+      return;
+    }
+    socket.data.role = 'host';
+    console.log(`🔑 Host logged in: ${socket.id}`);
+    socket.emit('host-login-ok', { room: socket.data.room });
+    const room = currentRoom();
+    if (room) sendHostState(socket, room);
+  };
+  socket.on('host-login', hostLogin);
+  if (socket.handshake.auth && socket.handshake.auth.hostPin) hostLogin(String(socket.handshake.auth.hostPin));
+
+  // register a handler that only the logged-in host may trigger; anyone else
+  // gets an explicit auth-error naming the rejected event
+  const onHost = (event, handler) => {
+    socket.on(event, (...args) => {
+      if (socket.data.role !== 'host') {
+        console.warn(`🚫 ${socket.data.role} ${socket.id} tried host-only '${event}'`);
+        socket.emit('auth-error', { event, message: 'Host login required' });
+        return;
+      }
+      handler(...args);
+    });
+  };
+
+  // host opens a fresh room and becomes part of it
+  onHost('create-room', () => {
+    pruneIdleRooms();
+    const room = createRoomState(generateRoomCode());
+    rooms.set(room.code, room);
+    console.log(`🏠 Room ${room.code} created by ${socket.id}`);
+    enterRoom(socket, room);
+    saveDb();
+  });
+
+  // host (after refresh) or big screen subscribes to an existing room
+  socket.on('join-room', (code) => {
+    const room = rooms.get(normalizeRoomCode(code));
+    if (!room) {
+      socket.emit('room-error', `Room ${normalizeRoomCode(code) || '(blank)'} not found`);
+      return;
+    }
+    enterRoom(socket, room);
+  });
 
   // clear songs for everyone (big screen listens for this)
-  socket.on('clear-songs', () => {
-    io.emit('clear-bigscreen');
+  onHost('clear-songs', () => {
+    const room = currentRoom();
+    if (!room) return;
+    io.to(room.code).emit('clear-bigscreen');
   });
 
   // host sets/clears announcement ticker
-  socket.on('announcement', (txt) => {
-    currentAnnouncement = typeof txt === 'string' ? txt : '';
-    io.emit('announcement', currentAnnouncement);
+  onHost('announcement', (txt) => {
+    const room = currentRoom();
+    if (!room) return;
+    room.announcement = typeof txt === 'string' ? txt : '';
+    io.to(room.code).emit('announcement', room.announcement);
+    saveDb();
   });
 
-  // player joins game (accepts string name or object { name, resume })
+  // player joins game (accepts string name or object { name, resume, room })
+  // A player joins with a name ({ name, room }, or just the name), resumes
+  // with the token from an earlier 'session' event ({ token, room }) or moves
+  // their session to this device ({ recoveryCode, room }). See lib/sessions.js.
   socket.on('join-game', (payload) => {
-    // extract name and resume flag from either a string or object payload
+    // extract name, token and recovery code from either a string or object payload
     let name = '';
-    let resume = false;
+    let token = '';
+    let recoveryCode = '';
+    let previousToken = '';
+    let roomCode = '';
     if (typeof payload === 'string') {
       name = payload.trim();
     } else if (payload && typeof payload === 'object') {
       name = typeof payload.name === 'string' ? payload.name.trim() : '';
-      resume = payload.resume === true;
+      token = typeof payload.token === 'string' ? payload.token : '';
+      recoveryCode = typeof payload.recoveryCode === 'string' ? payload.recoveryCode : '';
+      previousToken = typeof payload.previousToken === 'string' ? payload.previousToken : '';
+      roomCode = normalizeRoomCode(payload.room);
     }
 
-    if (!name) {
+    if (!name && !token && !recoveryCode) {
       socket.emit('join-failed', 'Invalid name');
       return;
     }
 
-    // If resuming, reclaim the name from any previous socket mapping so this
-    // socket becomes the authoritative session for that player.
-    if (resume) {
-      const prev = Array.from(activePlayers.entries()).find(([, pname]) => pname === name);
-      if (prev) {
-        const [prevSid] = prev;
-        if (prevSid !== socket.id) {
-          console.log(`🔁 Reclaiming name '${name}' from previous socket ${prevSid}`);
-          activePlayers.delete(prevSid);
-        }
+    if (roomCode) {
+      if (!rooms.has(roomCode)) {
+        socket.emit('join-failed', `Room ${roomCode} not found`);
+        return;
+      }
+      enterRoom(socket, rooms.get(roomCode));
+    }
+    const room = currentRoom();
+    if (!room) return;
+    const activePlayers = room.players;
+
+    let session = null;
+    let sessionToken = token;
+    if (token) {
+      session = sessionFromToken(db, token);
+      if (!session || session.room !== room.code) {
+        socket.emit('session-invalid', 'Your session has expired. Join again with your name.');
+        return;
+      }
+    } else if (recoveryCode) {
+      const recovered = recoverSession(db, room.code, recoveryCode);
+      if (recovered.error) {
+        socket.emit('join-failed', recovered.error);
+        return;
       }
+      ({ session, token: sessionToken } = recovered);
+    }
+
+    // a banned player stays out, whether they come back with their session,
+    // with the token a banned phone keeps ({ name, previousToken }), under the
+    // banned name or (when the host banned the address) under any name
+    const previous = !session && previousToken ? sessionFromToken(db, previousToken) : null;
+    const banned = banFor(room, { sessionId: session && session.id, ip: socket.data.ip, name: session ? session.name : name }) ||
+      (previous && banFor(room, { sessionId: previous.id }));
+    if (banned) {
+      socket.emit('join-failed', 'The host has removed you from this room');
+      return;
     }
 
-    // enforce unique player names among currently connected sockets unless
-    // the client is explicitly resuming
     let finalName = name;
-    if (!resume) {
-      const nameTaken = Array.from(activePlayers.entries()).some(([sid, pname]) => pname === finalName && sid !== socket.id);
-      if (nameTaken) {
-        // automatic disambiguation: append #n
+    if (session) {
+      // the session's owner takes the name back from any previous socket, so
+      // this socket becomes the authoritative session for that player
+      finalName = session.name;
+      for (const [prevSid, pname] of Array.from(activePlayers.entries())) {
+        if (pname !== finalName || prevSid === socket.id) continue;
+        console.log(`🔁 Reclaiming name '${finalName}' from previous socket ${prevSid}`);
+        activePlayers.delete(prevSid);
+        // a recovery code moved the player: the old device is signed out
+        const prevSocket = io.sockets.sockets.get(prevSid);
+        if (prevSocket && recoveryCode) prevSocket.emit('session-ended', 'You continued on another device');
+      }
+    } else {
+      const { value: validName, error: nameError } = validateName(room.nameRules, name);
+      if (nameError) {
+        socket.emit('join-failed', nameError);
+        return;
+      }
+      finalName = validName;
+      // names of connected players and of live sessions are taken
+      const nameTaken = (n) =>
+        Array.from(activePlayers.entries()).some(([sid, pname]) => pname === n && sid !== socket.id) ||
+        !!sessionForName(db, room.code, n);
+      if (nameTaken(finalName)) {
+        // automatic disambiguation: append #n (shortening the name to fit)
         let suffix = 2;
-        while (Array.from(activePlayers.values()).includes(`${name}#${suffix}`)) suffix++;
-        finalName = `${name}#${suffix}`;
+        while (nameTaken(withSuffix(room.nameRules, validName, suffix))) suffix++;
+        finalName = withSuffix(room.nameRules, validName, suffix);
         socket.emit('name-disambiguated', finalName);
       }
+      ({ session, token: sessionToken } = openSession(db, room.code, finalName));
     }
 
-  // register player using resolved name (may have been disambiguated or reclaimed)
-  console.log(`➡️ join-game payload:`, payload, `-> resolved: ${finalName} (resume: ${resume})`);
-  activePlayers.set(socket.id, finalName);
-    updateLobby();
+    // register player using resolved name (may have been disambiguated or reclaimed)
+    const how = token ? 'token' : recoveryCode ? 'recovery code' : 'new session';
+    console.log(`➡️ join-game -> resolved: ${finalName} in ${room.code} (${how})`);
+    activePlayers.set(socket.id, finalName);
+    socket.data.sessionId = session.id;
+    room.lastActive = Date.now();
+    updateLobby(room);
 
-  // send current theme + calls so newcomers catch up
-  // (deprecated) 'theme' event removed in favor of the structured 'game-info' event
-    socket.emit('call-update', callList.slice(0, currentCallIndex + 1));
+    // send current calls so newcomers catch up
+    // (deprecated) 'theme' event removed in favor of the structured 'game-info' event
+    socket.emit('call-update', room.calledHistory.slice());
 
-  // Accept join so client can show UI (return the resolved name)
-  socket.emit('join-accepted', finalName);
-  // Send current game info to the joining socket so late-joiners / refreshes
-  // immediately receive the active theme and game id.
-  socket.emit('game-info', { gameId: currentGameId, theme: currentTheme });
+    // hand over the token and recovery code, then accept the join so the
+    // client can show the UI (with the resolved name)
+    socket.emit('session', sessionPayload(session, sessionToken));
+    socket.emit('join-accepted', finalName);
+    // Send current game info to the joining socket so late-joiners / refreshes
+    // immediately receive the active theme and game id.
+    socket.emit('game-info', gameInfo(room));
 
     // if a theme is active, provide cards for the current game (namespace by gameId)
-    if (currentGameId && currentTheme && callList.length > 0) {
-      playerCardsByGame[currentGameId] = playerCardsByGame[currentGameId] || {};
-      const cardsForGame = playerCardsByGame[currentGameId];
+    if (room.gameId && room.theme && room.callList.length > 0) {
+      room.playerCardsByGame[room.gameId] = room.playerCardsByGame[room.gameId] || {};
+      const cardsForGame = room.playerCardsByGame[room.gameId];
 
       if (cardsForGame[finalName]) {
-        socket.emit('generateCard', cardsForGame[finalName]);
+        socket.emit('generateCard', cardPayload(room, cardsForGame[finalName]));
       } else {
-        const card1 = shuffle([...callList]).slice(0, 25);
-        const card2 = shuffle([...callList]).slice(0, 25);
-        cardsForGame[finalName] = { card1, card2 };
-        socket.emit('generateCard', { card1, card2 });
-        // persist new assignment
-        saveDb();
+        cardsForGame[finalName] = dealCards(room);
+        socket.emit('generateCard', cardPayload(room, cardsForGame[finalName]));
+        emitCardStats(room);
       }
     }
+    // persist the session (and any new cards)
+    saveDb();
+  });
+
+  // host changes the bingo pattern by id (remembered so claims are checked
+  // against it); everyone in the room gets the masks for display
+  onHost('pattern-change', (patternId) => {
+    const room = currentRoom();
+    if (!room) return;
+    const id = typeof patternId === 'string' ? patternId : patternId && patternId.id;
+    const pattern = getPattern(db, id);
+    if (!pattern) {
+      socket.emit('pattern-failed', `Unknown pattern ${id}`);
+      return;
+    }
+    if (room.gameId && !patternMasks(pattern, room.gridSize)) {
+      socket.emit('pattern-failed', `${pattern.name} is only for 5x5 cards`);
+      return;
+    }
+    room.pattern = pattern.id;
+    // mid-game the change applies to the stage being played
+    const stage = currentStage(room);
+    if (stage) stage.pattern = pattern.id;
+    io.to(room.code).emit('bingo-pattern', patternPayload(room));
+    io.to(room.code).emit('stage-update', stageInfo(db, room));
+    saveDb();
   });
 
-  // host changes the bingo pattern
-  socket.on('pattern-change', (pattern) => {
-    io.emit('bingo-pattern', pattern);
+  // host switches auto-daub on ('auto') or off ('manual'); it can change
+  // mid-game and carries over to the next game unless start-game says
+  // otherwise
+  onHost('daub-mode', (mode) => {
+    const room = currentRoom();
+    if (!room) return;
+    if (!['manual', 'auto'].includes(mode)) return socket.emit('daub-failed', 'Daub mode must be manual or auto');
+    room.daubMode = mode;
+    console.log(`🖍️ Daub mode in ${room.code}: ${mode}`);
+    io.to(room.code).emit('game-info', gameInfo(room));
+    saveDb();
   });
 
-  // host previews a song (echo back to host)
-  socket.on('previewSong', (songTitle) => {
+  // host previews a song (echo back to host) along with its clip so the host
+  // can audition it before confirming
+  onHost('previewSong', (songTitle) => {
+    const room = currentRoom();
     socket.emit('previewSong', songTitle);
+    if (!room || !mediaEnabled()) return;
+    const { clip, error } = clipFor(room, songTitle);
+    socket.emit('preview-clip', clip || { song: songTitle, url: null, error });
   });
 
-  // late joiners can explicitly request cards for the current game
-  socket.on('request-cards', (maybeName) => {
-    if (!currentGameId || !currentTheme || callList.length === 0) return;
-    const name = (typeof maybeName === 'string' && maybeName.trim()) || activePlayers.get(socket.id);
-    if (!name) return;
+  // host changes clip playback: { enabled, snippetSec, fadeSec }
+  onHost('audio-settings', (payload) => {
+    const room = currentRoom();
+    if (!room || !payload) return;
+    const snippetSec = Number(payload.snippetSec);
+    const fadeSec = Number(payload.fadeSec);
+    if (!Number.isFinite(snippetSec) || snippetSec < 5 || snippetSec > 120) {
+      return socket.emit('audio-failed', 'Snippet length must be 5-120 seconds');
+    }
+    if (!Number.isFinite(fadeSec) || fadeSec < 0 || fadeSec > Math.min(10, snippetSec)) {
+      return socket.emit('audio-failed', 'Fade out must be 0-10 seconds and shorter than the snippet');
+    }
+    room.audio = { enabled: payload.enabled !== false, snippetSec, fadeSec };
+    io.to(room.code).emit('audio-settings', room.audio);
+    saveDb();
+  });
+
+  // late joiners can explicitly request cards for the current game with
+  // their session token ({ token })
+  socket.on('request-cards', (payload) => {
+    const room = currentRoom();
+    if (!room || !room.gameId || !room.theme || room.callList.length === 0) return;
+    const session = sessionFromToken(db, payload && payload.token);
+    if (!session || session.room !== room.code) {
+      socket.emit('session-invalid', 'Your session has expired. Join again with your name.');
+      return;
+    }
+    if (banFor(room, { sessionId: session.id, ip: socket.data.ip, name: session.name })) {
+      socket.emit('kicked', 'The host has removed you from this room', { banned: true });
+      return;
+    }
+    const name = session.name;
 
-    playerCardsByGame[currentGameId] = playerCardsByGame[currentGameId] || {};
-    const cardsForGame = playerCardsByGame[currentGameId];
+    room.playerCardsByGame[room.gameId] = room.playerCardsByGame[room.gameId] || {};
+    const cardsForGame = room.playerCardsByGame[room.gameId];
 
     if (cardsForGame[name]) {
-      socket.emit('generateCard', cardsForGame[name]);
+      socket.emit('generateCard', cardPayload(room, cardsForGame[name]));
     } else {
-      const card1 = shuffle([...callList]).slice(0, 25);
-      const card2 = shuffle([...callList]).slice(0, 25);
-      cardsForGame[name] = { card1, card2 };
-      socket.emit('generateCard', { card1, card2 });
+      cardsForGame[name] = dealCards(room);
+      socket.emit('generateCard', cardPayload(room, cardsForGame[name]));
+      emitCardStats(room);
       saveDb();
     }
   });
 
-  // host confirms/broadcasts a song to all screens
-  socket.on('confirmSong', (songTitle) => {
-  // persist the confirmed call in server history and broadcast
-  calledHistory.push(songTitle);
-  io.emit('broadcastSong', songTitle);
-  io.emit('new-call', songTitle);
+  // every call goes through the call engine (lib/calls): songs outside the
+  // game's theme and repeats are refused with 'call-failed'
+  const callSong = (room, songTitle) => {
+    const { song, error } = addCall(room, songTitle);
+    if (error) {
+      socket.emit('call-failed', error);
+      return;
+    }
+    announceCall(room, song);
+  };
+
+  // host confirms/broadcasts a song to all screens in the room
+  onHost('confirmSong', (songTitle) => {
+    const room = currentRoom();
+    if (!room) return;
+    callSong(room, songTitle);
   });
 
-  // host starts a game with a theme { name, songs }
-  const startGame = (theme) => {
-    // create a new game id (timestamp-based) so stored cards are namespaced
-    currentGameId = `game_${Date.now()}`;
-    currentTheme = theme?.name || '';
-    callList = shuffle([...(theme?.songs || [])]);
-    currentCallIndex = -1;
-    calledHistory = [];
+  // host asks the server to suggest the next uncalled song of the game's
+  // call order (after the one the host just skipped, if any); it is only
+  // called once the host confirms it
+  onHost('random-call', (skipped) => {
+    const room = currentRoom();
+    if (!room) return;
+    const { song, error } = nextUncalled(room, typeof skipped === 'string' ? skipped : null);
+    if (error) return socket.emit('call-failed', error);
+    socket.emit('random-preview', song);
+  });
 
-    // (deprecated) 'theme' event removed; clients should use 'game-info'
-    io.emit('call-update', []); // reset calls on clients
+  // host takes back the last call: 'undo-call' returns the song to the pool,
+  // 'void-call' removes it for the rest of the game. Clients get a
+  // 'call-correction' plus the corrected history.
+  const retractCall = (action) => () => {
+    const room = currentRoom();
+    if (!room) return;
+    const { song, error } = retractLastCall(room, action);
+    if (error) return socket.emit('call-failed', error);
+    console.log(`↩️ ${action} of "${song}" in ${room.code}`);
+    room.lastActive = Date.now();
+    io.to(room.code).emit('call-correction', { action, song, calledHistory: room.calledHistory.slice() });
+    io.to(room.code).emit('call-update', room.calledHistory.slice());
+    saveDb();
+  };
+  onHost('undo-call', retractCall('undo'));
+  onHost('void-call', retractCall('void'));
 
-    // broadcast game info for clients (useful for debugging / display)
-    io.emit('game-info', { gameId: currentGameId, theme: currentTheme });
+  // auto caller controls: start { intervalSec }, stop, pause, resume and
+  // skip (pick a different song for the next auto call)
+  onHost('auto-caller-start', (payload) => {
+    const room = currentRoom();
+    if (!room) return;
+    const intervalSec = Number(payload && payload.intervalSec);
+    if (!room.gameId) return socket.emit('call-failed', 'Start a game first');
+    if (!currentStage(room)) return socket.emit('call-failed', 'Every stage of this game has been won');
+    if (!Number.isInteger(intervalSec) || intervalSec < AUTO_INTERVAL_MIN || intervalSec > AUTO_INTERVAL_MAX) {
+      return socket.emit('call-failed', `Interval must be ${AUTO_INTERVAL_MIN}-${AUTO_INTERVAL_MAX} seconds`);
+    }
+    if (!uncalledSongs(room).length) return socket.emit('call-failed', 'Every song has been called');
+    console.log(`⏱️ Auto caller started in ${room.code} every ${intervalSec}s`);
+    startAutoCaller(room, intervalSec);
+  });
+
+  onHost('auto-caller-stop', () => {
+    const room = currentRoom();
+    if (room) stopAutoCaller(room);
+  });
+
+  onHost('auto-caller-pause', () => {
+    const room = currentRoom();
+    if (room) pauseAutoCaller(room, 'Paused by host');
+  });
+
+  onHost('auto-caller-resume', () => {
+    const room = currentRoom();
+    if (room) resumeAutoCaller(room);
+  });
+
+  onHost('auto-caller-skip', () => {
+    const room = currentRoom();
+    if (!room || !room.autoCaller.enabled) return;
+    pickUpcoming(room);
+    saveDb();
+  });
+
+  // host starts a game from the theme catalog: a theme id or
+  // { themeId, freeSpace: 'centre' | 'none' | 'custom', freeLabel, stages,
+  // cardCount, gridSize, daubMode }. stages is an ordered list of { patternId, prize };
+  // without it the game has one stage on the current pattern. Each player
+  // gets cardCount (1-6, default 2) cards of gridSize 3, 4 or 5 (default 5). maxOverlap caps the songs two cards
+  // may share (default: from the theme's size). The songs always come from
+  // the server's copy of the theme.
+  const startGame = (payload) => {
+    const room = currentRoom();
+    if (!room) return;
+    const themeId = typeof payload === 'string' ? payload : payload && payload.themeId;
+    const theme = themeId ? getTheme(db, themeId) : null;
+    if (!theme) {
+      socket.emit('start-failed', themeId ? `Theme ${themeId} not found` : 'No theme selected');
+      return;
+    }
 
-    // clear previous games' stored cards to free memory
-    for (const gid in playerCardsByGame) {
-      if (Object.prototype.hasOwnProperty.call(playerCardsByGame, gid)) {
-        delete playerCardsByGame[gid];
+    const freeSpace = ['centre', 'none', 'custom'].includes(payload && payload.freeSpace) ? payload.freeSpace : 'centre';
+    const freeLabel = freeSpace === 'custom' && typeof payload.freeLabel === 'string' ? payload.freeLabel.trim() : '';
+    if (freeSpace === 'custom') {
+      if (!freeLabel || freeLabel.length > 24) {
+        socket.emit('start-failed', 'Custom free label must be 1-24 characters');
+        return;
+      }
+      // a label that is also a song would be confused with a real call
+      if (theme.songs.includes(freeLabel)) {
+        socket.emit('start-failed', `Free label "${freeLabel}" is a song in this theme`);
+        return;
       }
     }
 
-    playerCardsByGame[currentGameId] = {};
+    const { value: layout, error: layoutError } = validateCardLayout(payload, freeSpace);
+    if (layoutError) {
+      socket.emit('start-failed', layoutError);
+      return;
+    }
 
-    // give each connected client a pair of cards and store them for resume
-    for (const [id, clientSocket] of io.sockets.sockets) {
-      const shuffled1 = shuffle([...(theme?.songs || [])]);
-      const shuffled2 = shuffle([...(theme?.songs || [])]);
-      const card1 = shuffled1.slice(0, 25);
-      const card2 = shuffled2.slice(0, 25);
+    // a theme that cannot fill a card would deal short, broken cards
+    const perCard = songsPerCard(freeSpace, layout.gridSize);
+    if (theme.songs.length < perCard) {
+      socket.emit('start-failed', `${theme.name} has ${theme.songs.length} songs; a card needs at least ${perCard}`);
+      return;
+    }
+    const { value: maxOverlap, warning: overlapWarning, error: overlapError } =
+      overlapCap(theme.songs.length, perCard, payload && payload.maxOverlap);
+    if (overlapError) {
+      socket.emit('start-failed', overlapError);
+      return;
+    }
 
-      // if we know the player's name (they joined lobby), save their cards so
-      // rejoining with the same name resumes the current game's cards
-      const playerName = activePlayers.get(id);
-      if (playerName) {
-        playerCardsByGame[currentGameId][playerName] = { card1, card2 };
-      }
+    const { value: stages, error: stageError } = validateStages(db, payload && payload.stages, activePattern(room).id, layout.gridSize);
+    if (stageError) {
+      socket.emit('start-failed', stageError);
+      return;
+    }
+
+    // the game being replaced is over: reveal its seed
+    if (room.autoCaller.enabled) stopAutoCaller(room, 'New game started');
+    if (room.gameId) endGame(room);
+
+    // create a new game id (timestamp-based) so stored cards are namespaced
+    room.gameId = `game_${Date.now()}`;
+    room.themeId = theme.id;
+    room.theme = theme.name;
+    room.seed = createSeed();
+    room.callList = callOrder(room.seed, theme.songs);
+    room.cardPool = [...theme.songs];
+    room.nextSerial = 1;
+    room.dealtSerials = [];
+    room.maxOverlap = maxOverlap;
+    room.calledHistory = [];
+    room.voidedCalls = [];
+    room.callLog = [];
+    room.freeSpace = freeSpace;
+    room.freeLabel = freeLabel;
+    room.gridSize = layout.gridSize;
+    room.cardCount = layout.cardCount;
+    if (['manual', 'auto'].includes(payload && payload.daubMode)) room.daubMode = payload.daubMode;
+    room.stages = stages;
+    room.stageIndex = 0;
+    room.winners = [];
+    room.claims = [];
+    room.claimPenalties = {};
+    room.pattern = stages[0].pattern;
+    room.lastActive = Date.now();
+    recordGameStart(db, room, Array.from(rooms.values(), (r) => r.gameId).filter(Boolean));
+
+    // (deprecated) 'theme' event removed; clients should use 'game-info'
+    io.to(room.code).emit('call-update', []); // reset calls on clients
 
-      clientSocket.emit('generateCard', { card1, card2 });
+    // broadcast game info for clients (useful for debugging / display)
+    io.to(room.code).emit('game-info', gameInfo(room));
+    io.to(room.code).emit('bingo-pattern', patternPayload(room));
+    io.to(room.code).emit('stage-update', stageInfo(db, room));
+
+    // clear this room's previous games' stored cards to free memory
+    room.playerCardsByGame = { [room.gameId]: {} };
+
+    // give each joined player their cards and store them for resume; the
+    // host and big screen get none, so they use up no serials
+    const cardsForGame = room.playerCardsByGame[room.gameId];
+    for (const [id, playerName] of room.players) {
+      const clientSocket = io.sockets.sockets.get(id);
+      if (!clientSocket) continue;
+      // a player on two sockets gets the same cards on both
+      if (!cardsForGame[playerName]) cardsForGame[playerName] = dealCards(room);
+      clientSocket.emit('generateCard', cardPayload(room, cardsForGame[playerName]));
     }
+    emitCardStats(room);
+    if (overlapWarning) socket.emit('start-warning', overlapWarning);
     // persist new game state
     saveDb();
   };
 
   // Support both legacy and new event names
-  socket.on('startgame', startGame);
-  socket.on('start-game', startGame);
+  onHost('startgame', startGame);
+  onHost('start-game', startGame);
+
+  // host hands a player a fixed-layout card from the card builder for the
+  // current game: { cardId, player }. It replaces the player's first card.
+  // Songs on the card that the game's pool lacks are added so they can be
+  // called.
+  onHost('assign-custom-card', (payload) => {
+    const room = currentRoom();
+    if (!room) return;
+    const card = getCard(db, payload && payload.cardId);
+    const player = payload && typeof payload.player === 'string' ? payload.player : '';
+    if (!room.gameId) return socket.emit('assign-failed', 'Start a game first');
+    if (!card) return socket.emit('assign-failed', 'Card not found');
+    if (!player) return socket.emit('assign-failed', 'Pick a player');
+    if (room.gridSize !== 5) return socket.emit('assign-failed', 'Custom cards only fit games with 5x5 cards');
+
+    const pool = new Set(room.callList);
+    const addedToPool = card.cells.filter((cell) => cell !== FREE_SPACE && !pool.has(cell));
+    room.callList.push(...addedToPool);
+
+    const cardsForGame = room.playerCardsByGame[room.gameId] = room.playerCardsByGame[room.gameId] || {};
+    // the builder's card has no serial; the other cards keep their own
+    const { cards, serials } = playerCards(cardsForGame[player] || dealCards(room));
+    cardsForGame[player] = { cards: [[...card.cells], ...cards.slice(1)], serials: [null, ...serials.slice(1)] };
+
+    for (const [sid, name] of room.players) {
+      if (name !== player) continue;
+      const playerSocket = io.sockets.sockets.get(sid);
+      if (playerSocket) playerSocket.emit('generateCard', cardPayload(room, cardsForGame[player]));
+    }
+    console.log(`🃏 Custom card '${card.name}' assigned to ${player} in ${room.code} (+${addedToPool.length} songs)`);
+    socket.emit('custom-card-assigned', { player, cardId: card.id, name: card.name, addedToPool });
+    // the big screen's board shows the songs added to the pool
+    if (addedToPool.length) io.to(room.code).emit('game-info', gameInfo(room));
+    saveDb();
+  });
+
+  // host calls a random uncalled song straight away
+  onHost('next-call', () => {
+    const room = currentRoom();
+    if (!room) return;
+    const { song, error } = nextUncalled(room);
+    if (error) return socket.emit('call-failed', error);
+    callSong(room, song);
+  });
 
-  // host advances to next call
-  socket.on('next-call', () => {
-    if (currentCallIndex + 1 < callList.length) {
-      currentCallIndex++;
-      io.emit('new-call', callList[currentCallIndex]);
+  // player claims bingo with their stored cards (see receiveClaim). The room
+  // sees "checking..." while the host accepts or rejects the claim
+  // ('claim-decision'). A second claim while one is pending, or during a
+  // false-claim cooldown, gets 'claim-blocked' instead.
+  socket.on('bingo-claim', () => {
+    const room = currentRoom();
+    if (!room) return;
+    // only a joined player can claim, and only for themselves
+    const name = room.players.get(socket.id);
+    if (!name) return;
+    if (banFor(room, { sessionId: socket.data.sessionId, ip: socket.data.ip, name })) return;
+    // with no game there is nothing to claim, and no queue to put it in
+    const blocked = room.gameId
+      ? claimBlock(room, name)
+      : { reason: 'No game is running yet; wait for the host to start one', retryInSec: null };
+    if (blocked) {
+      console.log(`⏳ bingo-claim from ${name} in ${room.code} blocked: ${blocked.reason}`);
+      return socket.emit('claim-blocked', blocked);
     }
+
+    const cards = room.playerCardsByGame[room.gameId] ? room.playerCardsByGame[room.gameId][name] : null;
+    receiveClaim(room, name, cards, cards ? '' : 'No cards found for this player in the current game');
+  });
+
+  // host checks a paper card by its serial: the card is rebuilt from the
+  // serial and queued as a claim like any other, so it can be accepted or
+  // rejected from the claim queue
+  onHost('check-serial', (serial) => {
+    const room = currentRoom();
+    if (!room) return;
+    const card = cardFromSerial(room, serial);
+    if (card.error) return socket.emit('claim-failed', card.error);
+    const name = `Paper card ${card.serial}`;
+    const blocked = claimBlock(room, name);
+    if (blocked) return socket.emit('claim-failed', `${name}: ${blocked.reason}`);
+    receiveClaim(room, name, { cards: [card.cells], serials: [card.serial] }, '');
   });
 
-  // player claims bingo
-  socket.on('bingo-claim', (name) => {
-    io.emit('bingo-alert', `${name} says BINGO!`);
+  // host decides a claim: { id, decision: 'accept' | 'reject', reason? }. An
+  // accepted claim wins its stage (or shares it, see lib/claims.js); everyone
+  // gets 'claim-result' (the big screen celebrates, the claimant's phone
+  // shows the outcome).
+  onHost('claim-decision', (payload) => {
+    const room = currentRoom();
+    if (!room || !payload) return;
+    const claim = room.claims.find((c) => c.id === payload.id);
+    if (!claim) return socket.emit('claim-failed', 'Claim not found (was a new game started?)');
+    if (claim.status !== 'pending') return socket.emit('claim-failed', `Claim by ${claim.name} was already ${claim.status}`);
+
+    let shared = false;
+    if (payload.decision === 'accept') {
+      const result = acceptClaim(room, claim);
+      if (result.error) return socket.emit('claim-failed', result.error);
+      shared = result.shared;
+      console.log(`🏆 ${claim.name} won stage ${claim.stage + 1}/${room.stages.length} in ${room.code}${shared ? ' (split pot)' : ''}`);
+    } else if (payload.decision === 'reject') {
+      const penalty = rejectClaim(room, claim);
+      console.log(`❌ Claim by ${claim.name} rejected in ${room.code}`);
+      if (penalty.blockedUntil > Date.now()) console.log(`⏳ ${claim.name} cannot claim again until ${new Date(penalty.blockedUntil).toISOString()}`);
+    } else {
+      return socket.emit('claim-failed', 'Decision must be accept or reject');
+    }
+
+    io.to(room.code).emit('claim-result', {
+      id: claim.id,
+      name: claim.name,
+      status: claim.status,
+      stage: claim.stage,
+      prize: claim.prize,
+      pattern: claim.pattern,
+      shared,
+      reason: typeof payload.reason === 'string' ? payload.reason.slice(0, 200) : '',
+    });
+    if (claim.status === 'accepted') {
+      if (currentStage(room)) io.to(room.code).emit('bingo-pattern', patternPayload(room));
+      else endGame(room);
+      io.to(room.code).emit('stage-update', stageInfo(db, room));
+    }
+    saveDb();
+  });
+
+  // host changes how claims are handled: { splitPot: 'split' | 'first',
+  // maxFalseClaims, cooldownSec }
+  onHost('claim-settings', (payload) => {
+    const room = currentRoom();
+    if (!room) return;
+    const { value, error } = validateClaimRules(payload);
+    if (error) return socket.emit('claim-failed', error);
+    room.claimRules = value;
+    emitToHosts(room, 'claim-settings', room.claimRules);
+    saveDb();
+  });
+
+  // host moderation from the lobby list. Every action takes { name } of a
+  // player in the room; failures come back as 'moderation-failed'.
+  const moderate = (handler) => (payload) => {
+    const room = currentRoom();
+    if (!room) return;
+    const name = payload && typeof payload.name === 'string' ? payload.name : '';
+    if (!name) return socket.emit('moderation-failed', 'Pick a player');
+    const error = handler(room, name, payload);
+    if (error) return socket.emit('moderation-failed', error);
+    emitModeration(room);
+    saveDb();
+  };
+
+  // kick: the player's phone is disconnected, their cards discarded and
+  // their session closed; they may join again under a new session
+  onHost('player-kick', moderate((room, name) => {
+    const session = sessionForName(db, room.code, name);
+    if (!session && !playerSockets(room, name).length) return `${name} is not in this room`;
+    if (session) endSession(db, session.id);
+    removePlayer(room, name, 'The host removed you from the game');
+    console.log(`🚪 ${name} kicked from ${room.code}`);
+  }));
+
+  // ban for the rest of the room's life: { name, byIp } - byIp also bans the
+  // address the player is connected from
+  onHost('player-ban', moderate((room, name, payload) => {
+    const session = sessionForName(db, room.code, name);
+    const sockets = playerSockets(room, name);
+    if (!session && !sockets.length) return `${name} is not in this room`;
+    const ip = payload.byIp === true && sockets.length ? sockets[0].data.ip : null;
+    addBan(room, { name, sessionId: session && session.id, ip });
+    removePlayer(room, name, 'The host has removed you from this room', true);
+    console.log(`⛔ ${name} banned from ${room.code}${ip ? ' (by address)' : ''}`);
+  }));
+
+  onHost('player-unban', moderate((room, name) => {
+    if (!removeBan(room, name)) return `${name} is not banned`;
+    console.log(`✅ Ban on ${name} lifted in ${room.code}`);
+  }));
+
+  // force a new name: { name, newName }. The player keeps their cards and
+  // session and their phone shows the new name.
+  onHost('player-rename', moderate((room, name, payload) => {
+    const { value: newName, error: nameError } = validateName(room.nameRules, payload.newName);
+    if (nameError) return nameError;
+    if (newName === name) return null;
+    const session = sessionForName(db, room.code, name);
+    const sockets = playerSockets(room, name);
+    if (!session && !sockets.length) return `${name} is not in this room`;
+    const taken = Array.from(room.players.values()).includes(newName) || sessionForName(db, room.code, newName);
+    if (taken) return `${newName} is already taken`;
+    if (session) session.name = newName;
+    renamePlayer(room, name, newName);
+    for (const playerSocket of sockets) {
+      room.players.set(playerSocket.id, newName);
+      playerSocket.emit('renamed', { name: newName, reason: 'The host changed your name' });
+    }
+    updateLobby(room);
+    console.log(`✏️ ${name} renamed to ${newName} in ${room.code}`);
+  }));
+
+  // stop (or allow again) a player's bingo claims: { name, blocked }
+  onHost('player-claims', moderate((room, name, payload) => {
+    setClaimBlock(room, name, payload.blocked === true);
+    console.log(`${payload.blocked === true ? '🔇' : '🔊'} Claims from ${name} ${payload.blocked === true ? 'blocked' : 'allowed'} in ${room.code}`);
+  }));
+
+  // host changes the name rules (lib/names.js); they apply to the next
+  // joins and renames, not to players already in the room
+  onHost('name-rules', (payload) => {
+    const room = currentRoom();
+    if (!room) return;
+    const { value, error } = validateNameRules(payload);
+    if (error) return socket.emit('name-rules-failed', error);
+    room.nameRules = value;
+    emitToHosts(room, 'name-rules', room.nameRules);
+    saveDb();
   });
 
   // disconnect cleanup
   socket.on('disconnect', () => {
-    activePlayers.delete(socket.id);
-    updateLobby();
-    io.emit('player-count', io.engine.clientsCount);
+    const room = currentRoom();
+    if (room) {
+      room.players.delete(socket.id);
+      room.lastActive = Date.now();
+      updateLobby(room);
+      io.to(room.code).emit('player-count', roomClientCount(room.code));
+    }
     console.log(`Client disconnected: ${socket.id}`);
   });
 });
@@ -0,0 +1,20 @@
+// Bans (lib/moderation.js): names match whatever their case, spacing or
+// "#n" suffix, for lifting a ban as well as for enforcing it.
+const test = require('node:test');
+const assert = require('node:assert');
+const { addBan, banFor, removeBan } = require('../lib/moderation');
+
+test('a ban on a name covers its case and #n variants', () => {
+  const room = { bans: [] };
+  addBan(room, { name: 'Alice' });
+  for (const name of ['Alice', 'alice', ' ALICE ', 'Alice#2']) assert.ok(banFor(room, { name }), name);
+  assert.strictEqual(banFor(room, { name: 'Alicia' }), null);
+});
+
+test('unbanning matches names the same way', () => {
+  const room = { bans: [] };
+  addBan(room, { name: 'Alice' });
+  assert.strictEqual(removeBan(room, 'alice'), true);
+  assert.strictEqual(banFor(room, { name: 'alice' }), null);
+  assert.strictEqual(removeBan(room, 'alice'), false);
+});
@@ -0,0 +1,23 @@
+// Player name rules (lib/names.js), mostly the profanity filter: real names
+// and words that merely contain a blocked word must pass.
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNameRules, validateName } = require('../lib/names');
+
+const rules = createNameRules();
+
+test('names that contain a blocked word inside them pass', () => {
+  for (const name of ['Scunthorpe', 'Therapist', 'Shitake', 'Pussycat', 'Slutsky', 'Van Dyke', 'Bitchin', 'Dick', 'Ashkenazi', 'Cassandra', 'Mike Hunter']) {
+    assert.deepStrictEqual(validateName(rules, name), { value: name }, name);
+  }
+});
+
+test('blocked words, stems and phrases are refused', () => {
+  for (const name of ['Jap', 'Big Shit', 'Sh1t', 'fuckface', 'f u c k', 'Mike Hunt', 'MIKE  HUNT']) {
+    assert.ok(validateName(rules, name).error, name);
+  }
+});
+
+test('the filter can be turned off', () => {
+  assert.deepStrictEqual(validateName({ ...rules, profanityFilter: false }, 'Big Shit'), { value: 'Big Shit' });
+});